@@ -0,0 +1,362 @@
+/**
+ * adf.js — Markdown ↔ Atlassian Document Format (ADF) conversion.
+ *
+ * Jira Cloud stores rich text as ADF. The AI writes Markdown, so descriptions
+ * are converted on the way in (markdownToAdf) and stories are converted back
+ * on the way out (adfToMarkdown) to keep their structure in the prompt.
+ *
+ * Supported: headings, paragraphs, bullet / numbered / task lists (nested),
+ * fenced code blocks, block quotes, tables, rules, and inline **bold**,
+ * *italic*, ~~strike~~, `code` and [links](https://…).
+ */
+
+'use strict';
+
+// ─── Markdown → ADF ─────────────────────────────────────────────────────────
+
+const MD_FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const MD_HEADING = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const MD_QUOTE = /^\s*>\s?(.*)$/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MD_TASK = /^\[([ xX])\]\s+(.*)$/;
+const MD_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Block types ADF accepts inside list items and quotes
+const ADF_NESTABLE_BLOCKS = ['paragraph', 'bulletList', 'orderedList', 'codeBlock'];
+
+/** Converts Markdown into an ADF document. */
+function markdownToAdf(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    return { version: 1, type: 'doc', content: parseMdBlocks(lines) };
+}
+
+function isMdTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-')
+        && MD_TABLE_SEPARATOR.test(lines[i + 1]);
+}
+
+/** True if the line opens a block, which ends any paragraph before it. */
+function isMdBlockStart(lines, i) {
+    const line = lines[i];
+    return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_RULE.test(line)
+        || MD_QUOTE.test(line) || MD_LIST_ITEM.test(line) || isMdTableStart(lines, i);
+}
+
+function parseMdBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) { i++; continue; }
+
+        const fence = line.match(MD_FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+            i++; // closing fence
+            const node = { type: 'codeBlock', attrs: fence[2] ? { language: fence[2] } : {} };
+            if (code.length) node.content = [{ type: 'text', text: code.join('\n') }];
+            blocks.push(node);
+            continue;
+        }
+
+        const heading = line.match(MD_HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', attrs: { level: heading[1].length }, content: parseMdInline(heading[2]) });
+            i++;
+            continue;
+        }
+
+        if (MD_RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (isMdTableStart(lines, i)) {
+            const rows = [lines[i]];
+            i += 2; // header + separator
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(lines[i++]);
+            blocks.push(buildAdfTable(rows));
+            continue;
+        }
+
+        if (MD_QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && MD_QUOTE.test(lines[i])) quoted.push(lines[i++].match(MD_QUOTE)[1]);
+            blocks.push({ type: 'blockquote', content: nestableBlocks(parseMdBlocks(quoted)) });
+            continue;
+        }
+
+        if (MD_LIST_ITEM.test(line)) {
+            const list = parseMdList(lines, i);
+            blocks.push(list.node);
+            i = list.next;
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isMdBlockStart(lines, i))) {
+            paragraph.push(lines[i++].trim());
+        }
+        blocks.push({ type: 'paragraph', content: parseMdInlineLines(paragraph) });
+    }
+    return blocks;
+}
+
+/**
+ * Parses one list starting at `start`. Lines indented deeper than the
+ * marker belong to the current item and are parsed as nested blocks.
+ */
+function parseMdList(lines, start) {
+    const first = lines[start].match(MD_LIST_ITEM);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const task = !ordered && MD_TASK.test(first[3]);
+
+    const items = [];
+    let i = start;
+    while (i < lines.length) {
+        const m = lines[i].match(MD_LIST_ITEM);
+        if (!m || m[1].length !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+        if (!ordered && MD_TASK.test(m[3]) !== task) break;
+
+        // Gather the item's body: deeper-indented lines, allowing blank lines between them
+        const body = [];
+        i++;
+        while (i < lines.length) {
+            const indent = lines[i].match(/^\s*/)[0].length;
+            if (lines[i].trim() && indent > baseIndent) { body.push(lines[i++]); continue; }
+            if (!lines[i].trim() && i + 1 < lines.length && lines[i + 1].trim()
+                && lines[i + 1].match(/^\s*/)[0].length > baseIndent) { body.push(''); i++; continue; }
+            break;
+        }
+        const minIndent = Math.min(...body.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+        const nested = parseMdBlocks(body.map(l => l.slice(Math.min(minIndent, l.length))));
+        items.push({ text: m[3], nested });
+
+        // A blank line between items keeps the list going
+        if (i + 1 < lines.length && !lines[i]?.trim() && MD_LIST_ITEM.test(lines[i + 1])) i++;
+    }
+
+    if (task) return { node: buildAdfTaskList(items), next: i };
+
+    const node = {
+        type: ordered ? 'orderedList' : 'bulletList',
+        content: items.map(item => ({
+            type: 'listItem',
+            content: nestableBlocks([{ type: 'paragraph', content: parseMdInline(item.text) }, ...item.nested]),
+        })),
+    };
+    if (ordered) node.attrs = { order: parseInt(first[2], 10) || 1 };
+    return { node, next: i };
+}
+
+function buildAdfTaskList(items) {
+    const content = [];
+    items.forEach((item) => {
+        const [, mark, text] = item.text.match(MD_TASK);
+        content.push({
+            type: 'taskItem',
+            attrs: { localId: crypto.randomUUID(), state: mark === ' ' ? 'TODO' : 'DONE' },
+            content: parseMdInline(text),
+        });
+        // Task items hold inline content only; nested checklists become sub-lists
+        item.nested.forEach((block) => {
+            if (block.type === 'taskList') content.push(block);
+        });
+    });
+    return { type: 'taskList', attrs: { localId: crypto.randomUUID() }, content };
+}
+
+function buildAdfTable(rows) {
+    const splitRow = row => row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    const width = splitRow(rows[0]).length;
+    return {
+        type: 'table',
+        attrs: { isNumberColumnEnabled: false, layout: 'default' },
+        content: rows.map((row, r) => {
+            const cells = splitRow(row);
+            return {
+                type: 'tableRow',
+                content: Array.from({ length: width }, (_, c) => ({
+                    type: r === 0 ? 'tableHeader' : 'tableCell',
+                    attrs: {},
+                    content: [{ type: 'paragraph', content: parseMdInline(cells[c] || '') }],
+                })),
+            };
+        }),
+    };
+}
+
+/** ADF rejects headings, tables etc. inside list items and quotes; keep their text as a paragraph. */
+function nestableBlocks(blocks) {
+    return blocks.map(block => (ADF_NESTABLE_BLOCKS.includes(block.type)
+        ? block
+        : { type: 'paragraph', content: parseMdInline(adfToMarkdown(block).replace(/\n+/g, ' ')) }));
+}
+
+/** Inline content for consecutive lines of one paragraph, kept apart by hard breaks. */
+function parseMdInlineLines(lines) {
+    const content = [];
+    lines.forEach((line, i) => {
+        if (i > 0) content.push({ type: 'hardBreak' });
+        content.push(...parseMdInline(line));
+    });
+    return content;
+}
+
+// Earliest match wins; on a tie the first pattern listed wins
+const MD_INLINE_PATTERNS = [
+    { re: /`([^`]+)`/, mark: 'code' },
+    { re: /\[([^\]]+)\]\(([^)\s]+)\)/, mark: 'link' },
+    { re: /\*\*(.+?)\*\*|__(.+?)__/, mark: 'strong' },
+    { re: /~~(.+?)~~/, mark: 'strike' },
+    { re: /\*([^*\s][^*]*?)\*|\b_([^_]+)_\b/, mark: 'em' },
+    { re: /https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/, mark: 'url' },
+];
+
+/** Parses inline Markdown into ADF text nodes; `marks` are inherited from the enclosing span. */
+function parseMdInline(text, marks = []) {
+    const nodes = [];
+    let rest = String(text || '');
+    while (rest) {
+        let best = null;
+        MD_INLINE_PATTERNS.forEach((pattern) => {
+            const m = rest.match(pattern.re);
+            if (m && (!best || m.index < best.m.index)) best = { m, mark: pattern.mark };
+        });
+        if (!best) {
+            nodes.push(adfText(rest, marks));
+            break;
+        }
+
+        const { m, mark } = best;
+        if (m.index > 0) nodes.push(adfText(rest.slice(0, m.index), marks));
+        if (mark === 'code') {
+            // The code mark may only be combined with links
+            nodes.push(adfText(m[1], [...marks.filter(mk => mk.type === 'link'), { type: 'code' }]));
+        } else if (mark === 'link') {
+            nodes.push(...parseMdInline(m[1], [...marks, { type: 'link', attrs: { href: m[2] } }]));
+        } else if (mark === 'url') {
+            nodes.push(adfText(m[0], [...marks, { type: 'link', attrs: { href: m[0] } }]));
+        } else {
+            nodes.push(...parseMdInline(m[1] ?? m[2], [...marks, { type: mark }]));
+        }
+        rest = rest.slice(m.index + m[0].length);
+    }
+    return nodes.filter(Boolean);
+}
+
+/** ADF rejects empty text nodes, so those become null and are filtered out. */
+function adfText(text, marks) {
+    if (!text) return null;
+    const node = { type: 'text', text };
+    if (marks.length) node.marks = marks;
+    return node;
+}
+
+// ─── ADF → Markdown ─────────────────────────────────────────────────────────
+
+/** Converts an ADF document (or any ADF node) back into Markdown. */
+function adfToMarkdown(node) {
+    if (!node) return '';
+    if (node.type === 'doc') return adfBlocksToMarkdown(node.content).trim();
+    return adfBlockToMarkdown(node).trim();
+}
+
+function adfBlocksToMarkdown(nodes, separator = '\n\n') {
+    return (nodes || []).map(adfBlockToMarkdown).filter(s => s !== '').join(separator);
+}
+
+/** Indents every line after the first so nested content stays inside its list item. */
+function indentMarkdown(text, indent) {
+    return text.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+}
+
+function adfBlockToMarkdown(node) {
+    const attrs = node.attrs || {};
+    switch (node.type) {
+        case 'paragraph':
+            return adfInlineToMarkdown(node.content);
+        case 'heading':
+            return `${'#'.repeat(attrs.level || 1)} ${adfInlineToMarkdown(node.content)}`;
+        case 'bulletList':
+            return (node.content || []).map(li => `- ${indentMarkdown(adfBlocksToMarkdown(li.content, '\n'), '  ')}`).join('\n');
+        case 'orderedList': {
+            const start = attrs.order || 1;
+            return (node.content || []).map((li, i) => {
+                const marker = `${start + i}. `;
+                return marker + indentMarkdown(adfBlocksToMarkdown(li.content, '\n'), ' '.repeat(marker.length));
+            }).join('\n');
+        }
+        case 'taskList':
+            return (node.content || []).map(item => (item.type === 'taskList'
+                ? indentMarkdown(`  ${adfBlockToMarkdown(item)}`, '  ')
+                : `- [${item.attrs?.state === 'DONE' ? 'x' : ' '}] ${adfInlineToMarkdown(item.content)}`
+            )).join('\n');
+        case 'decisionList':
+            return (node.content || []).map(item => `- ${adfInlineToMarkdown(item.content)}`).join('\n');
+        case 'codeBlock':
+            return `\`\`\`${attrs.language || ''}\n${adfInlineToMarkdown(node.content)}\n\`\`\``;
+        case 'blockquote':
+        case 'panel':
+            return adfBlocksToMarkdown(node.content).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+        case 'rule':
+            return '---';
+        case 'table':
+            return adfTableToMarkdown(node);
+        case 'expand':
+        case 'nestedExpand': {
+            const body = adfBlocksToMarkdown(node.content);
+            return attrs.title ? `**${attrs.title}**\n\n${body}` : body;
+        }
+        case 'mediaSingle':
+        case 'mediaGroup':
+            return '[attachment]';
+        default:
+            // Inline nodes at block level, or block types without a Markdown form
+            return node.content ? adfBlocksToMarkdown(node.content) : adfInlineToMarkdown([node]);
+    }
+}
+
+function adfTableToMarkdown(table) {
+    const rows = (table.content || []).map(row => (row.content || []).map(cell =>
+        adfBlocksToMarkdown(cell.content, ' ').replace(/\n+/g, ' ').replace(/\|/g, '\\|')
+    ));
+    if (!rows.length) return '';
+    const width = Math.max(...rows.map(r => r.length));
+    const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+    return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+function adfInlineToMarkdown(nodes) {
+    return (nodes || []).map((node) => {
+        const attrs = node.attrs || {};
+        switch (node.type) {
+            case 'text': return applyMarkdownMarks(node.text || '', node.marks || []);
+            case 'hardBreak': return '\n';
+            case 'mention': return attrs.text || '@user';
+            case 'emoji': return attrs.text || attrs.shortName || '';
+            case 'inlineCard': return attrs.url || '';
+            case 'status': return `[${attrs.text || ''}]`;
+            case 'date': return attrs.timestamp ? new Date(Number(attrs.timestamp)).toISOString().slice(0, 10) : '';
+            default: return node.content ? adfInlineToMarkdown(node.content) : '';
+        }
+    }).join('');
+}
+
+function applyMarkdownMarks(text, marks) {
+    const has = type => marks.find(m => m.type === type);
+    let out = text;
+    if (has('code')) out = `\`${out}\``;
+    if (has('em')) out = `*${out}*`;
+    if (has('strong')) out = `**${out}**`;
+    if (has('strike')) out = `~~${out}~~`;
+    const link = has('link');
+    if (link?.attrs?.href) out = out === link.attrs.href ? out : `[${out}](${link.attrs.href})`;
+    return out;
+}
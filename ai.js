@@ -0,0 +1,768 @@
+/**
+ * ai.js — Prompts and JSON handling for AI generation.
+ *
+ * Shared by popup.js (per-card edits, refinement) and background.js
+ * (queued generation). Reads the LLM config from the global `currentSettings`
+ * each context keeps loaded; see llm.js for the provider layer.
+ */
+
+'use strict';
+
+// ─── Prompt Templates ───────────────────────────────────────────────────────
+//
+// Templates are stored per project key in chrome.storage.local under
+// `prompt_templates` ('*' = all projects) and edited on the options page:
+//   { [scope]: { system, breakdown, create, conventions: [], acFormat, testCases, testIssueType } }
+// Empty fields fall back to the '*' scope, then to the defaults below.
+// The JSON schema is always appended by code so templates cannot break parsing.
+//
+// acFormat 'gherkin' asks for Given/When/Then scenarios instead of plain
+// criteria; testCases 'issues' or 'subtasks' makes jobs.js create a test for
+// each subtask, linked to it. Generation copies them into `_meta`.
+
+const PROMPT_TEMPLATES_KEY = 'prompt_templates';
+const PROMPT_TEMPLATE_FIELDS = ['system', 'breakdown', 'create', 'epic'];
+const PROMPT_OPTION_FIELDS = ['acFormat', 'testCases', 'testIssueType'];
+const PROMPT_TEMPLATE_VARIABLES = ['storyTitle', 'storyDescription', 'storyContext', 'projectVocabulary', 'numSubtasks', 'numStories', 'issueType', 'projectKey', 'conventions'];
+
+const DEFAULT_PROMPT_TEMPLATES = {
+    system: `You are a senior software engineer and agile project manager.
+Your task is to break down software requirements into well-structured, actionable Jira tickets.
+OUTPUT RULES:
+- Respond with STRICTLY valid JSON only. No markdown, no code fences, no extra text.
+- Use the exact schema provided.`,
+    breakdown: `Break the Jira story below into exactly {{numSubtasks}} subtasks.
+
+Story: {{storyTitle}}
+Description: {{storyDescription}}`,
+    create: `Create a Jira {{issueType}} with exactly {{numSubtasks}} subtasks from this description:
+
+"{{storyDescription}}"`,
+    epic: `Break the epic below into exactly {{numStories}} user stories, each with about {{numSubtasks}} subtasks.
+Stories must be independently deliverable and together cover the whole epic.
+
+Epic: {{storyTitle}}
+Description: {{storyDescription}}`,
+};
+
+const DEFAULT_PROMPT_OPTIONS = { acFormat: 'list', testCases: 'none', testIssueType: '' };
+
+const SUBTASK_SCHEMA = `{
+  "id": "S1",
+  "title": "subtask title",
+  "description": "what needs to be done",
+  "acceptance_criteria": ["AC 1"],
+  "story_points": 2,
+  "priority": "Medium",
+  "labels": ["backend"],
+  "component": "component name or null",
+  "fix_version": "version name or null",
+  "blocked_by": []
+}`;
+
+/**
+ * Appended after every schema so the meaning of each field is unambiguous.
+ * `fieldOptions` ({ priorities, components, versions } name lists, from
+ * _meta) limits the values the model may pick to ones that exist in the
+ * project.
+ */
+function schemaNotes(fieldOptions = {}, acFormat = 'list') {
+    const { priorities, components, versions } = fieldOptions;
+    return [
+        'Field notes:',
+        '- List subtasks in the order they should be done',
+        acFormat === 'gherkin'
+            ? '- acceptance_criteria: Gherkin scenarios, one string each: "Scenario: <name>\\nGiven …\\nWhen …\\nThen …" (And/But for more steps)'
+            : '- acceptance_criteria: short, testable statements',
+        '- id: short unique id ("S1", "S2", …); blocked_by: ids of the subtasks that must be finished first ([] if none)',
+        '- description: Markdown; use headings, lists, `inline code`, fenced code blocks, tables, links and "- [ ]" checklists where they help',
+        '- story_points: your effort estimate for the subtask (one of 1, 2, 3, 5, 8, 13)',
+        priorities?.length
+            ? `- priority: one of ${priorities.map(p => `"${p}"`).join(', ')}`
+            : '- priority: e.g. "High", "Medium" or "Low"',
+        '- labels: 0-3 short lowercase tags without spaces',
+        components?.length
+            ? `- component: one of ${components.map(c => `"${c}"`).join(', ')}, or null`
+            : '- component: always null',
+        versions?.length
+            ? `- fix_version: the release the subtask ships in, one of ${versions.map(v => `"${v}"`).join(', ')}, or null`
+            : '- fix_version: always null',
+    ].join('\n');
+}
+
+const BREAKDOWN_SCHEMA = `{
+  "title": "parent story title",
+  "description": "brief description",
+  "acceptance_criteria": ["AC 1", "AC 2"],
+  "subtasks": [
+    ${SUBTASK_SCHEMA.replace(/\n/g, '\n    ')}
+  ]
+}`;
+
+const CREATE_SCHEMA = `{
+  "title": "clear, concise issue title",
+  "description": "2-3 sentence description",
+  "acceptance_criteria": ["AC 1", "AC 2", "AC 3"],
+  "subtasks": [
+    ${SUBTASK_SCHEMA.replace(/\n/g, '\n    ')}
+  ]
+}`;
+
+const EPIC_SCHEMA = `{
+  "title": "epic title",
+  "description": "epic description",
+  "acceptance_criteria": ["AC 1", "AC 2"],
+  "stories": [
+    {
+      "title": "user story title",
+      "description": "what the story delivers",
+      "acceptance_criteria": ["AC 1"],
+      "subtasks": [
+        ${SUBTASK_SCHEMA.replace(/\n/g, '\n        ')}
+      ]
+    }
+  ]
+}`;
+
+const GENERATION_SCHEMAS = { breakdown: BREAKDOWN_SCHEMA, create: CREATE_SCHEMA, epic: EPIC_SCHEMA };
+
+/** Replaces {{name}} placeholders; unknown names are left as-is. */
+function renderPromptTemplate(template, vars) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        vars[name] === undefined || vars[name] === null ? match : String(vars[name])
+    );
+}
+
+/** Merges project → '*' → default templates; conventions from both scopes are combined. */
+function resolvePromptTemplates(projectKey) {
+    const all = currentSettings[PROMPT_TEMPLATES_KEY] || {};
+    const global = all['*'] || {};
+    const project = (projectKey && all[projectKey]) || {};
+
+    const resolved = {};
+    PROMPT_TEMPLATE_FIELDS.forEach((field) => {
+        resolved[field] = project[field] || global[field] || DEFAULT_PROMPT_TEMPLATES[field];
+    });
+    PROMPT_OPTION_FIELDS.forEach((field) => {
+        resolved[field] = project[field] || global[field] || DEFAULT_PROMPT_OPTIONS[field];
+    });
+    resolved.conventions = [...new Set([...(global.conventions || []), ...(project.conventions || [])])];
+    return resolved;
+}
+
+/**
+ * The system prompt with team conventions filled in. Conventions are appended
+ * as a list unless the template places them itself with {{conventions}}.
+ */
+function buildSystemPrompt(templates, vars = {}) {
+    const conventions = templates.conventions.map(c => `- ${c}`).join('\n');
+    let system = renderPromptTemplate(templates.system, { ...vars, conventions });
+    if (conventions && !/\{\{\s*conventions\s*\}\}/.test(templates.system)) {
+        system += `\n\nTEAM CONVENTIONS (always follow):\n${conventions}`;
+    }
+    return system;
+}
+
+/**
+ * Generates a plan. `mode` is 'breakdown' (subtasks for an existing story),
+ * 'create' (a new issue with subtasks) or 'epic' (stories with subtasks for
+ * an existing epic — storyTitle/storyDescription — or a free-text initiative
+ * in `description`).
+ *
+ * The reply is streamed when `onItems` is given: it is called with the
+ * subtasks (stories in epic mode) complete so far, starting over on a re-ask.
+ * Aborting `signal` cancels the request.
+ */
+async function aiGenerate({ mode, projectKey, storyTitle, storyDescription, storyContext, projectVocabulary, description, issueType, numSubtasks, numStories, fieldOptions, allowFewer }, { signal, onItems } = {}) {
+    const templates = resolvePromptTemplates(projectKey);
+    const template = templates[mode];
+    const vars = {
+        storyTitle: storyTitle || '(new — propose a clear title)',
+        storyDescription: (mode === 'create' || (mode === 'epic' && !storyTitle) ? description : storyDescription) || '(none)',
+        storyContext: storyContext || '',
+        projectVocabulary: projectVocabulary || '',
+        numSubtasks,
+        numStories,
+        issueType: issueType || 'Story',
+        projectKey,
+    };
+
+    let prompt = renderPromptTemplate(template, vars);
+    if (storyContext && !/\{\{\s*storyContext\s*\}\}/.test(template)) prompt += `\n\n${storyContext}`;
+    if (projectVocabulary && !/\{\{\s*projectVocabulary\s*\}\}/.test(template)) prompt += `\n\n${projectVocabulary}`;
+
+    const userPrompt = `${prompt}
+
+Return ONLY this JSON:
+${GENERATION_SCHEMAS[mode]}
+
+${schemaNotes(fieldOptions, templates.acFormat)}`;
+
+    const limits = {
+        mode,
+        numSubtasks,
+        numStories,
+        allowFewer,
+        requireTitle: mode === 'create' || (mode === 'epic' && !storyTitle),
+        acFormat: templates.acFormat,
+    };
+    const listKey = mode === 'epic' ? 'stories' : 'subtasks';
+    const onText = onItems && (text => onItems(partialListItems(text, listKey)));
+    // Invalid JSON is one more validation error to send back
+    const ask = prompt => aiChatJson(projectKey, prompt, vars, { signal, onText }).catch((err) => {
+        if (err.invalidJson) return null;
+        throw err;
+    });
+
+    let { plan, errors } = validateGeneratedPlan(await ask(userPrompt), limits);
+    for (let attempt = 1; errors.length && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        console.warn(`[JiraAI] AI output invalid, asking again (${attempt}/${MAX_REPAIR_ATTEMPTS}):`, errors);
+        ({ plan, errors } = validateGeneratedPlan(await ask(repairPrompt(userPrompt, plan, errors)), limits));
+    }
+
+    if (!plan) throw new Error('AI returned invalid JSON. Please try again.');
+    if (!Array.isArray(plan[listKey]) || (mode === 'epic' && !plan.stories.length)) {
+        throw new Error(`AI response missing ${listKey} array. Please try again.`);
+    }
+    plan._meta = Object.fromEntries(PROMPT_OPTION_FIELDS.map(field => [field, templates[field]]));
+    // The preview lists what is still wrong and highlights the fields
+    if (errors.length) plan._meta.validationErrors = errors;
+    return plan;
+}
+
+// ─── Output Validation ──────────────────────────────────────────────────────
+//
+// Generated plans are checked against the schema before they reach the
+// preview. What can be fixed is repaired (types coerced, long titles
+// shortened, extra items dropped); what cannot (missing titles, too few
+// items, criteria without text) goes back to the model with the list of
+// errors. Errors are { path, message }, with paths into the plan such as
+// "stories.0.subtasks.2.title" (as jobs.js planPath).
+
+const JIRA_SUMMARY_MAX_LENGTH = 255;
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/** Text of a value the model sent where a string belongs ({ given, when, then }, nested lists…); null if there is none. */
+function plainText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value.trim();
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    const parts = Object.values(value).map(plainText).filter(Boolean);
+    return parts.length ? parts.join(' ') : null;
+}
+
+/** Cuts a title to Jira's summary limit, at a word boundary when there is one nearby. */
+function shortenTitle(title) {
+    if (title.length <= JIRA_SUMMARY_MAX_LENGTH) return title;
+    const cut = title.slice(0, JIRA_SUMMARY_MAX_LENGTH - 1);
+    const space = cut.lastIndexOf(' ');
+    return `${space > JIRA_SUMMARY_MAX_LENGTH - 50 ? cut.slice(0, space) : cut}…`;
+}
+
+const GHERKIN_STEPS = ['Given', 'When', 'Then'];
+
+/** A scenario sent as { scenario, given, when, then } becomes Gherkin text; anything else as plainText(). */
+function gherkinText(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return plainText(value);
+    const lines = [];
+    Object.entries(value).forEach(([key, step]) => {
+        const keyword = key.charAt(0).toUpperCase() + key.slice(1).toLowerCase();
+        const texts = (Array.isArray(step) ? step : [step]).map(plainText).filter(Boolean);
+        texts.forEach((text, k) => {
+            if (keyword === 'Scenario') lines.push(`Scenario: ${text}`);
+            else lines.push(`${k === 0 ? keyword : 'And'} ${text}`);
+        });
+    });
+    return lines.length ? lines.join('\n') : null;
+}
+
+/**
+ * Repairs the title, description and acceptance criteria of a plan, story
+ * or subtask in place; returns the errors left. A shortened title is kept
+ * in full at the top of the description. With `acFormat` 'gherkin' each
+ * criterion must be a scenario with Given, When and Then steps.
+ */
+function repairPlanItem(item, path, { requireTitle = true, acFormat = 'list' } = {}) {
+    const errors = [];
+    const at = field => (path ? `${path}.${field}` : field);
+
+    item.description = typeof item.description === 'string' ? item.description : plainText(item.description) || '';
+
+    const title = (plainText(item.title) || '').replace(/\s+/g, ' ');
+    item.title = shortenTitle(title);
+    if (item.title !== title) item.description = `${title}\n\n${item.description}`.trim();
+    if (requireTitle && !item.title) errors.push({ path: at('title'), message: 'Title is missing' });
+
+    const gherkin = acFormat === 'gherkin';
+    let criteria = item.acceptance_criteria ?? [];
+    // Scenarios are separated by blank lines, plain criteria by line breaks
+    if (typeof criteria === 'string') criteria = criteria.split(gherkin ? /\n\s*\n/ : '\n');
+    if (!Array.isArray(criteria)) {
+        errors.push({ path: at('acceptance_criteria'), message: 'Acceptance criteria must be a list of strings' });
+        criteria = [];
+    }
+    item.acceptance_criteria = [];
+    criteria.forEach((criterion, k) => {
+        const text = gherkin ? gherkinText(criterion) : plainText(criterion);
+        const missingSteps = gherkin && text ? GHERKIN_STEPS.filter(step => !new RegExp(`^\\s*${step}\\b`, 'im').test(text)) : [];
+        if (text === null) errors.push({ path: `${at('acceptance_criteria')}.${k}`, message: 'Acceptance criterion has no text' });
+        else if (missingSteps.length) errors.push({ path: `${at('acceptance_criteria')}.${k}`, message: `Scenario has no ${missingSteps.join('/')} step` });
+        // Bullets are added by the description renderer
+        if (text) item.acceptance_criteria.push(text.replace(/^(?:[-*•]|\d+[.)])\s+/, ''));
+    });
+    return errors;
+}
+
+/**
+ * Checks a generated plan against the schema of `mode` and returns the
+ * repaired copy ({ plan: null } if it is not an object) with the errors
+ * left. Fewer stories or subtasks than asked for are an error unless
+ * `allowFewer` (the issue already has children, so only the missing work
+ * is proposed). A story needs at least one subtask; its count is only
+ * asked for approximately, so extra subtasks are kept.
+ */
+function validateGeneratedPlan(parsed, { mode, numSubtasks, numStories, allowFewer = false, requireTitle = false, acFormat = 'list' }) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { plan: null, errors: [{ path: '', message: 'The answer is not a JSON object' }] };
+    }
+    const plan = structuredClone(parsed);
+    const errors = repairPlanItem(plan, '', { requireTitle, acFormat });
+
+    const repairList = (items, path, { noun, wanted, min }, repairItem) => {
+        if (!Array.isArray(items)) {
+            errors.push({ path, message: `Expected a list of ${noun}` });
+            return null;
+        }
+        // A bare string is taken as a title; anything else that is not an object is dropped
+        const list = items.slice(0, wanted)
+            .map(item => (typeof item === 'string' ? { title: item } : item))
+            .filter(item => item && typeof item === 'object' && !Array.isArray(item));
+        if (list.length < min) errors.push({ path, message: `Only ${list.length} of ${min} ${noun}` });
+        list.forEach((item, i) => repairItem(item, `${path}.${i}`));
+        return list;
+    };
+    const repairSubtasks = (subtasks, path, counts) => repairList(subtasks, path, { noun: 'subtasks', ...counts }, (st, p) => {
+        errors.push(...repairPlanItem(st, p, { acFormat }));
+    });
+
+    if (mode === 'epic') {
+        plan.stories = repairList(plan.stories, 'stories', { noun: 'stories', wanted: numStories, min: allowFewer ? 1 : numStories }, (story, p) => {
+            errors.push(...repairPlanItem(story, p, { acFormat }));
+            story.subtasks = repairSubtasks(story.subtasks, `${p}.subtasks`, { min: 1 }) || [];
+        });
+    } else {
+        plan.subtasks = repairSubtasks(plan.subtasks, 'subtasks', { wanted: numSubtasks, min: allowFewer ? 0 : numSubtasks });
+    }
+    return { plan, errors };
+}
+
+/**
+ * The complete objects of the `listKey` array in JSON that is still being
+ * streamed. Characters inside strings are skipped, so braces in a
+ * description do not count.
+ */
+function partialListItems(text, listKey) {
+    const match = new RegExp(`"${listKey}"\\s*:\\s*\\[`).exec(text);
+    if (!match) return [];
+    const items = [];
+    let depth = 0;
+    let inString = false;
+    let itemStart = -1;
+    for (let i = match.index + match[0].length; i < text.length; i++) {
+        const c = text[i];
+        if (inString) {
+            if (c === '\\') i++;
+            else if (c === '"') inString = false;
+        } else if (c === '"') {
+            inString = true;
+        } else if (c === '{' || c === '[') {
+            if (depth === 0) itemStart = i;
+            depth++;
+        } else if (c === '}' || c === ']') {
+            if (depth === 0) break; // end of the list
+            depth--;
+            if (depth === 0 && c === '}') {
+                try {
+                    items.push(JSON.parse(text.slice(itemStart, i + 1)));
+                } catch { /* not valid on its own; the final parse decides */ }
+            }
+        }
+    }
+    return items;
+}
+
+/** The original prompt again, with the previous (repaired) answer and what is wrong with it. */
+function repairPrompt(userPrompt, previous, errors) {
+    return `${userPrompt}
+
+Your previous answer ${previous ? `was:\n${JSON.stringify(previous, null, 2)}` : 'was not valid JSON.'}
+
+It has these problems:
+${errors.map(e => `- ${e.path || 'answer'}: ${e.message}`).join('\n')}
+
+Fix them and return the complete corrected JSON.`;
+}
+
+// ─── Story Context ──────────────────────────────────────────────────────────
+
+// Rough size limit for the context block; ~4 characters per token
+const STORY_CONTEXT_TOKEN_BUDGET = 3000;
+const CHARS_PER_TOKEN = 4;
+const MAX_CONTEXT_ENTRY_CHARS = 1500;
+
+function clipText(text, max) {
+    return text.length <= max ? text : `${text.slice(0, Math.max(0, max - 1))}…`;
+}
+
+/**
+ * Formats jiraGetStoryContext() output for the prompt. Sections are filled in
+ * order of importance until the budget runs out: existing subtasks or
+ * stories (so the model only proposes what is missing), epic, links, comments, attachments.
+ */
+function formatStoryContext(context, budgetTokens = STORY_CONTEXT_TOKEN_BUDGET) {
+    if (!context) return '';
+    let remaining = budgetTokens * CHARS_PER_TOKEN;
+    const sections = [];
+
+    const addSection = (heading, entries) => {
+        const lines = [];
+        for (const entry of entries) {
+            if (remaining <= 0) break;
+            const line = clipText(entry.trim(), Math.min(remaining, MAX_CONTEXT_ENTRY_CHARS));
+            lines.push(line);
+            remaining -= line.length + 1;
+        }
+        if (lines.length) sections.push(`${heading}\n${lines.join('\n')}`);
+    };
+
+    addSection('EXISTING CHILD ISSUES (already done — do not propose these again; propose only the missing work, fewer items if less is missing):',
+        (context.subtasks || []).map(st => `- ${st.key}: ${st.title}${st.status ? ` [${st.status}]` : ''}`));
+    if (context.epic) {
+        addSection('PARENT EPIC:', [`${context.epic.key}: ${context.epic.title}`, context.epic.description || ''].filter(Boolean));
+    }
+    addSection('LINKED ISSUES:',
+        (context.links || []).map(l => `- ${l.relation} ${l.key}: ${l.title}${l.status ? ` [${l.status}]` : ''}`));
+    addSection('COMMENTS (newest first):',
+        (context.comments || []).filter(c => c.body).map(c => `- ${c.author} (${c.created}): ${c.body}`));
+    addSection('ATTACHMENTS:',
+        (context.attachments || []).map(a => `--- ${a.filename} ---\n${a.text}`));
+
+    return sections.length ? `ADDITIONAL CONTEXT:\n\n${sections.join('\n\n')}` : '';
+}
+
+// ─── Project Vocabulary ─────────────────────────────────────────────────────
+
+/**
+ * Formats jiraProjectVocabulary() output for the prompt: the labels and
+ * recent titles the team uses. Components and versions are offered as
+ * field options instead (see vocabularyFieldOptions).
+ */
+function formatProjectVocabulary(vocabulary) {
+    if (!vocabulary) return '';
+    const sections = [];
+    if (vocabulary.labels.length) {
+        sections.push(`COMMON LABELS (reuse these before inventing new ones): ${vocabulary.labels.join(', ')}`);
+    }
+    if (vocabulary.recentTitles.length) {
+        sections.push(`RECENT ISSUE TITLES (name new issues in the same words, style and prefixes):\n${vocabulary.recentTitles.map(t => `- ${t}`).join('\n')}`);
+    }
+    return sections.length ? `PROJECT VOCABULARY:\n\n${sections.join('\n\n')}` : '';
+}
+
+/** Field options with the vocabulary's components and versions; lists loaded by the popup take precedence. */
+function vocabularyFieldOptions(fieldOptions, vocabulary) {
+    if (!vocabulary) return fieldOptions;
+    return {
+        ...fieldOptions,
+        components: fieldOptions?.components ?? vocabulary.components,
+        versions: fieldOptions?.versions ?? vocabulary.versions,
+    };
+}
+
+/** Sends one prompt to the project's LLM and parses the JSON reply; `signal` and `onText` go to llmChat. */
+async function aiChatJson(projectKey, userPrompt, vars = { projectKey }, { signal, onText } = {}) {
+    const llmConfig = resolveLlmConfig(currentSettings, projectKey);
+    const systemPrompt = buildSystemPrompt(resolvePromptTemplates(projectKey), vars);
+
+    const raw = await llmChat(llmConfig, [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+    ], { signal, onText }) || '{}';
+
+    try {
+        // Providers without a JSON mode may wrap the object in fences or a sentence
+        const text = raw.replace(/^```json\s*/i, '').replace(/```\s*$/, '').trim();
+        return JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    } catch {
+        throw Object.assign(new Error('AI returned invalid JSON. Please try again.'), { invalidJson: true });
+    }
+}
+
+/** The editable plan as sent back to the model — everything except `_meta` and duplicate flags. */
+function planForPrompt(aiOutput) {
+    const { _meta, ...plan } = aiOutput;
+    return JSON.stringify(plan, (key, value) => (key.startsWith('duplicate') ? undefined : value), 2);
+}
+
+/**
+ * Validates one AI-written subtask and normalises its own fields.
+ * `base` is the card it replaces, whose assignee carries over.
+ */
+function requireSubtask(obj, meta = {}, base = {}) {
+    const text = obj && typeof obj === 'object' ? { ...obj } : {};
+    repairPlanItem(text, '', { requireTitle: false, acFormat: meta.acFormat });
+    if (!text.title) {
+        throw new Error('AI response missing a subtask title. Please try again.');
+    }
+    return normalizeSubtaskFields({
+        title: text.title,
+        description: text.description,
+        acceptance_criteria: text.acceptance_criteria,
+        story_points: obj.story_points,
+        priority: obj.priority,
+        labels: obj.labels,
+        component: obj.component,
+        fix_version: obj.fix_version,
+        id: obj.id,
+        blocked_by: obj.blocked_by,
+        assignee_id: (typeof obj.assignee_id === 'string' && obj.assignee_id) || base.assignee_id || meta.assigneeId || null,
+    }, meta.fieldOptions);
+}
+
+/** Case-insensitive match against a project's option names; unknown lists accept any value. */
+function matchFieldOption(value, options) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    if (!options) return value.trim();
+    return options.find(o => o.toLowerCase() === value.trim().toLowerCase()) || null;
+}
+
+/**
+ * Cleans the per-subtask fields (estimate, priority, labels, component,
+ * fix version) in place so each card's dropdowns show values that exist in
+ * the project.
+ */
+function normalizeSubtaskFields(st, fieldOptions = {}) {
+    const storyPoints = parseFloat(st.story_points);
+    st.story_points = Number.isFinite(storyPoints) ? storyPoints : null;
+    st.priority = matchFieldOption(st.priority, fieldOptions.priorities);
+    st.component = matchFieldOption(st.component, fieldOptions.components);
+    st.fix_version = matchFieldOption(st.fix_version, fieldOptions.versions);
+    // Jira labels cannot contain spaces
+    st.labels = [...new Set((Array.isArray(st.labels) ? st.labels : [])
+        .map(l => String(l).trim().replace(/\s+/g, '-'))
+        .filter(Boolean))];
+    st.assignee_id = st.assignee_id || null;
+    st.id = typeof st.id === 'string' || typeof st.id === 'number' ? String(st.id).trim() : '';
+    st.blocked_by = Array.isArray(st.blocked_by) ? st.blocked_by.map(String) : [];
+    return st;
+}
+
+/**
+ * Applies the generate-time options in `meta` to every subtask of a fresh AI
+ * output. Values picked in the advanced options apply to all subtasks: story
+ * points and priority replace the AI's suggestion, labels are added to its
+ * own, and the assignee is preselected on every card.
+ */
+function applyGenerationDefaults(aiOutput, meta) {
+    // Epic plans hold their subtasks per story
+    const groups = aiOutput.stories ? aiOutput.stories.map(story => story.subtasks) : [aiOutput.subtasks || []];
+    groups.forEach((subtasks) => {
+        subtasks.forEach((st) => {
+            if (meta.storyPoints !== null && meta.storyPoints !== undefined) st.story_points = meta.storyPoints;
+            if (meta.priority) st.priority = meta.priority;
+            st.labels = [...(Array.isArray(st.labels) ? st.labels : []), ...(meta.labels || [])];
+            st.assignee_id = meta.assigneeId || null;
+            normalizeSubtaskFields(st, meta.fieldOptions);
+        });
+        normalizeDependencies(subtasks);
+    });
+    return aiOutput;
+}
+
+// ─── Dependencies ───────────────────────────────────────────────────────────
+//
+// Each subtask has an `id` and `blocked_by` (ids of subtasks to finish
+// first). jobs.js turns them into "Blocks" issue links after creation.
+
+/**
+ * Makes ids unique and drops blocked_by entries that point nowhere, at the
+ * subtask itself, or would close a cycle. Safe to call after any edit.
+ */
+function normalizeDependencies(subtasks) {
+    const taken = new Set();
+    const needsId = [];
+    subtasks.forEach((st) => {
+        const id = String(st.id ?? '').trim();
+        if (id && !taken.has(id)) {
+            st.id = id;
+            taken.add(id);
+        } else {
+            needsId.push(st);
+        }
+    });
+    let next = 1;
+    needsId.forEach((st) => {
+        while (taken.has(`S${next}`)) next++;
+        st.id = `S${next}`;
+        taken.add(st.id);
+    });
+
+    const blockers = new Map(); // id → ids kept so far
+    const dependsOn = (id, target, seen = new Set()) => {
+        if (id === target) return true;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return (blockers.get(id) || []).some(b => dependsOn(b, target, seen));
+    };
+    subtasks.forEach((st) => {
+        const kept = [];
+        (Array.isArray(st.blocked_by) ? st.blocked_by : []).map(String).forEach((b) => {
+            if (b !== st.id && taken.has(b) && !kept.includes(b) && !dependsOn(b, st.id)) kept.push(b);
+        });
+        st.blocked_by = kept;
+        blockers.set(st.id, kept);
+    });
+    return subtasks;
+}
+
+/** Points references to `fromId` at `toIds` instead (after a split or merge). */
+function retargetDependencies(subtasks, fromId, toIds) {
+    subtasks.forEach((st) => {
+        if (!st.blocked_by?.includes(fromId)) return;
+        st.blocked_by = [...new Set(st.blocked_by.flatMap(b => (b === fromId ? toIds : [b])))];
+    });
+}
+
+/** Stable topological order: blockers first, otherwise the current order. */
+function dependencyOrder(subtasks) {
+    const done = new Set();
+    const ordered = [];
+    const remaining = [...subtasks];
+    while (remaining.length) {
+        const i = remaining.findIndex(st => (st.blocked_by || []).every(b => done.has(b)));
+        // A cycle cannot survive normalizeDependencies, but never loop forever
+        const [st] = remaining.splice(i === -1 ? 0 : i, 1);
+        done.add(st.id);
+        ordered.push(st);
+    }
+    return ordered;
+}
+
+async function aiRegenerateSubtask(aiOutput, index) {
+    const parsed = await aiChatJson(aiOutput._meta?.projectKey, `Here is the current breakdown of a Jira issue:
+
+${planForPrompt(aiOutput)}
+
+Subtask ${index + 1} ("${aiOutput.subtasks[index].title}") is not good enough.
+Write a better replacement for it that fits with the other subtasks and does not overlap them.
+
+Return ONLY this JSON:
+${SUBTASK_SCHEMA}
+
+${schemaNotes(aiOutput._meta?.fieldOptions, aiOutput._meta?.acFormat)}`);
+    const base = aiOutput.subtasks[index];
+    // The replacement keeps its place in the dependency graph
+    return { ...requireSubtask(parsed, aiOutput._meta, base), id: base.id, blocked_by: [...(base.blocked_by || [])] };
+}
+
+async function aiSplitSubtask(aiOutput, index, parts) {
+    const parsed = await aiChatJson(aiOutput._meta?.projectKey, `Here is the current breakdown of a Jira issue:
+
+${planForPrompt(aiOutput)}
+
+Split subtask ${index + 1} ("${aiOutput.subtasks[index].title}") into exactly ${parts} smaller subtasks
+that together cover the same work.
+
+Return ONLY this JSON:
+{
+  "subtasks": [
+    ${SUBTASK_SCHEMA.replace(/\n/g, '\n    ')}
+  ]
+}
+
+${schemaNotes(aiOutput._meta?.fieldOptions, aiOutput._meta?.acFormat)}`);
+    if (!Array.isArray(parsed.subtasks) || parsed.subtasks.length === 0) {
+        throw new Error('AI response missing subtasks array. Please try again.');
+    }
+    // Parts inherit the original's blockers; callers retarget references with retargetDependencies()
+    const base = aiOutput.subtasks[index];
+    return parsed.subtasks.slice(0, parts).map((st, k) => ({
+        ...requireSubtask(st, aiOutput._meta, base),
+        id: `${base.id}.${k + 1}`,
+        blocked_by: [...(base.blocked_by || [])],
+    }));
+}
+
+async function aiMergeSubtasks(aiOutput, first, second) {
+    const a = aiOutput.subtasks[first];
+    const b = aiOutput.subtasks[second];
+    const parsed = await aiChatJson(aiOutput._meta?.projectKey, `Here is the current breakdown of a Jira issue:
+
+${planForPrompt(aiOutput)}
+
+Merge subtask ${first + 1} ("${a.title}") and subtask ${second + 1} ("${b.title}") into a single subtask
+that covers the work and acceptance criteria of both.
+
+Return ONLY this JSON:
+${SUBTASK_SCHEMA}
+
+${schemaNotes(aiOutput._meta?.fieldOptions, aiOutput._meta?.acFormat)}`);
+    // The merged subtask takes the first one's id; callers retarget the second's
+    const blockedBy = [...(a.blocked_by || []), ...(b.blocked_by || [])].filter(id => id !== a.id && id !== b.id);
+    return { ...requireSubtask(parsed, aiOutput._meta, a), id: a.id, blocked_by: [...new Set(blockedBy)] };
+}
+
+async function aiRefine(aiOutput, instruction) {
+    const parsed = await aiChatJson(aiOutput._meta?.projectKey, `Here is the current breakdown of a Jira issue:
+
+${planForPrompt(aiOutput)}
+
+Revise it according to this instruction:
+"${instruction}"
+
+Keep everything the instruction does not ask to change, including each subtask's id.
+Return ONLY the full revised JSON in this format:
+${GENERATION_SCHEMAS[aiOutput._meta?.mode] || BREAKDOWN_SCHEMA}
+
+${schemaNotes(aiOutput._meta?.fieldOptions, aiOutput._meta?.acFormat)}`);
+    const revised = {
+        title: parsed.title ?? aiOutput.title,
+        description: parsed.description ?? aiOutput.description,
+        acceptance_criteria: parsed.acceptance_criteria ?? aiOutput.acceptance_criteria,
+    };
+    repairPlanItem(revised, '', { requireTitle: false, acFormat: aiOutput._meta?.acFormat });
+    // Each revised subtask keeps what only the card had (e.g. its assignee), matched by id, else title
+    const reviseSubtasks = (subtasks, originals = []) => normalizeDependencies(subtasks.map((st) => {
+        const base = originals.find(o => o.id && o.id === st?.id) || originals.find(o => o.title === st?.title) || {};
+        return requireSubtask(st, aiOutput._meta, base);
+    }));
+
+    if (aiOutput.stories) {
+        if (!Array.isArray(parsed.stories)) {
+            throw new Error('AI response missing stories array. Please try again.');
+        }
+        revised.stories = parsed.stories.map((story, i) => {
+            const original = aiOutput.stories.find(s => s.title === story?.title) || aiOutput.stories[i];
+            return {
+                ...requireStory(story, aiOutput._meta),
+                subtasks: reviseSubtasks(Array.isArray(story.subtasks) ? story.subtasks : [], original?.subtasks),
+            };
+        });
+        return revised;
+    }
+
+    if (!Array.isArray(parsed.subtasks)) {
+        throw new Error('AI response missing subtasks array. Please try again.');
+    }
+    revised.subtasks = reviseSubtasks(parsed.subtasks, aiOutput.subtasks);
+    return revised;
+}
+
+function requireStory(obj, meta = {}) {
+    const story = obj && typeof obj === 'object' ? { ...obj } : {};
+    repairPlanItem(story, '', { requireTitle: false, acFormat: meta.acFormat });
+    if (!story.title) {
+        throw new Error('AI response missing a story title. Please try again.');
+    }
+    return { title: story.title, description: story.description, acceptance_criteria: story.acceptance_criteria };
+}
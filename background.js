@@ -1,10 +1,558 @@
 /**
  * Background service worker.
  * Opens the options page on first install so user can set credentials.
+ *
+ * Also owns the work queue: AI generation, batch breakdowns and Jira creation
+ * run here so they survive the popup closing. The popup connects over a
+ * 'popup' port, sends tasks, and receives progress; a notification links the
+ * created issues. Generations and finished jobs are recorded in the history
+ * (history.js).
  */
 
+importScripts('llm.js', 'adf.js', 'jira.js', 'secrets.js', 'ai.js', 'jobs.js', 'history.js');
+
+let currentSettings = {};
+
+const GENERATION_STORAGE_KEY = 'generation';
+const BATCH_STORAGE_KEY = 'batch';
+const MAX_BATCH_STORIES = 25;
+const NOTIFICATION_LINKS_KEY = 'notification_links';
+
 chrome.runtime.onInstalled.addListener((details) => {
     if (details.reason === 'install') {
         chrome.tabs.create({ url: chrome.runtime.getURL('options.html') });
     }
 });
+
+// ─── Popup Connection ───────────────────────────────────────────────────────
+
+const ports = new Set();
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'popup') return;
+    ports.add(port);
+    port.onDisconnect.addListener(() => ports.delete(port));
+    port.onMessage.addListener((msg) => {
+        switch (msg.type) {
+            case 'generate':
+                enqueue({ type: 'generate', request: msg.request });
+                break;
+            case 'cancel-generation':
+                cancelGeneration(msg.id);
+                break;
+            case 'run-job':
+                enqueue({ type: 'run-job', jobId: msg.jobId });
+                break;
+            case 'rollback-job':
+                enqueue({ type: 'rollback-job', jobId: msg.jobId });
+                break;
+            case 'batch-start':
+                enqueue({ type: 'batch-start', request: msg.request });
+                break;
+            case 'batch-confirm':
+                confirmBatchItems(msg.keys, msg.aiOutput);
+                break;
+            case 'batch-skip':
+                updateBatchItem(msg.key, { status: 'skipped' });
+                break;
+            case 'batch-retry':
+                updateBatchItem(msg.key, { status: 'pending', error: '' })
+                    .then(() => enqueue({ type: 'batch-generate' }));
+                break;
+            case 'batch-clear':
+                clearBatch();
+                break;
+        }
+    });
+});
+
+function broadcast(msg) {
+    ports.forEach((port) => {
+        try { port.postMessage(msg); } catch { ports.delete(port); }
+    });
+}
+
+// ─── Task Queue ─────────────────────────────────────────────────────────────
+
+const queue = [];
+let processing = false;
+let currentTask = null;
+
+function enqueue(task) {
+    // A job already queued or running is not queued twice (e.g. Resume clicked again)
+    const sameJob = t => t && t.jobId && t.jobId === task.jobId;
+    if (sameJob(currentTask) || queue.some(sameJob)) return;
+    queue.push(task);
+    processQueue();
+}
+
+async function processQueue() {
+    if (processing) return;
+    processing = true;
+    try {
+        while (queue.length) {
+            const task = queue.shift();
+            currentTask = task;
+            try {
+                await loadSettings();
+                if (task.type === 'generate') await runGeneration(task.request);
+                else if (task.type === 'run-job') await runQueuedJob(task.jobId);
+                else if (task.type === 'rollback-job') await rollbackQueuedJob(task.jobId);
+                else if (task.type === 'batch-start') await startBatch(task.request);
+                else if (task.type === 'batch-generate') await generateBatchItems();
+            } catch (err) {
+                console.error('[JiraAI] Task failed:', task.type, err);
+            }
+        }
+    } finally {
+        currentTask = null;
+        processing = false;
+    }
+}
+
+// Everything in storage, all profiles included; currentSettings is one profile of it
+let storedSettings = {};
+
+async function readStoredSettings() {
+    return withSecrets({
+        ...await chrome.storage.sync.get([...JIRA_SETTINGS_KEYS, ...LLM_SETTINGS_KEYS]),
+        ...await chrome.storage.local.get(PROMPT_TEMPLATES_KEY),
+    });
+}
+
+async function loadSettings() {
+    storedSettings = await readStoredSettings();
+    currentSettings = settingsForProfile(storedSettings);
+}
+
+/** Switches to the Jira profile a request or job was made with (meta.profileId). */
+function useProfile(profileId) {
+    currentSettings = settingsForProfile(storedSettings, profileId);
+}
+
+/** Runs synchronous `fn` (e.g. createJob, which reads the field mapping) against other settings. */
+function withSettings(settings, fn) {
+    const previous = currentSettings;
+    currentSettings = settings;
+    try {
+        return fn();
+    } finally {
+        currentSettings = previous;
+    }
+}
+
+// ─── Generation ─────────────────────────────────────────────────────────────
+
+// Aborts the running generation (Cancel in the popup)
+let generationController = null;
+
+/**
+ * Generates a preview and stores it under `generation` so a popup opened
+ * later can pick it up. `request.meta` becomes the output's `_meta`.
+ * Subtasks (stories) are broadcast as `generation-items` while the reply
+ * streams in.
+ */
+async function runGeneration(request) {
+    const generation = { id: request.id, status: 'running', request, aiOutput: null, error: '' };
+    await chrome.storage.local.set({ [GENERATION_STORAGE_KEY]: generation });
+    useProfile(request.meta.profileId);
+    generationController = new AbortController();
+    const { signal } = generationController;
+
+    let streamed = 0;
+    const onItems = (items) => {
+        if (items.length === streamed) return;
+        streamed = items.length;
+        broadcast({ type: 'generation-items', id: request.id, mode: request.mode, items });
+    };
+
+    try {
+        broadcast({ type: 'status', text: 'Reading the project\'s components, versions and labels…' });
+        const vocabulary = await jiraProjectVocabulary(request.meta.projectKey);
+        const projectVocabulary = formatProjectVocabulary(vocabulary);
+        // The project's components and versions are the values the model may pick
+        const meta = { ...request.meta, fieldOptions: vocabularyFieldOptions(request.meta.fieldOptions, vocabulary) };
+        signal.throwIfAborted();
+
+        let params;
+        if (request.mode === 'breakdown') {
+            broadcast({ type: 'status', text: 'Fetching story and its context from Jira…' });
+            const story = await jiraGetStoryContext(meta.parentKey);
+            params = {
+                mode: 'breakdown',
+                projectKey: meta.projectKey,
+                storyTitle: story.title,
+                storyDescription: story.description,
+                storyContext: formatStoryContext(story),
+                projectVocabulary,
+                numSubtasks: request.numSubtasks,
+                fieldOptions: meta.fieldOptions,
+                // Existing subtasks leave less to propose
+                allowFewer: Boolean(story.subtasks?.length),
+            };
+        } else if (request.mode === 'epic') {
+            params = {
+                mode: 'epic',
+                projectKey: meta.projectKey,
+                description: request.description,
+                projectVocabulary,
+                numStories: request.numStories,
+                numSubtasks: request.numSubtasks,
+                fieldOptions: meta.fieldOptions,
+            };
+            if (meta.parentKey) {
+                broadcast({ type: 'status', text: 'Fetching epic and its stories from Jira…' });
+                const epic = await jiraGetStoryContext(meta.parentKey);
+                // Stories under an epic are its children, not subtasks
+                const children = await jiraSearch(`parent = ${meta.parentKey}`, ['summary', 'status'], 50).catch(() => []);
+                epic.subtasks = children.map(issue => ({
+                    key: issue.key,
+                    title: issue.fields?.summary || '',
+                    status: issue.fields?.status?.name || '',
+                }));
+                Object.assign(params, {
+                    storyTitle: epic.title,
+                    storyDescription: epic.description,
+                    storyContext: formatStoryContext(epic),
+                    allowFewer: Boolean(epic.subtasks.length),
+                });
+            }
+        } else {
+            params = {
+                mode: 'create',
+                projectKey: meta.projectKey,
+                description: request.description,
+                projectVocabulary,
+                issueType: meta.issueType,
+                numSubtasks: request.numSubtasks,
+                fieldOptions: meta.fieldOptions,
+            };
+        }
+
+        signal.throwIfAborted();
+        const llmConfig = resolveLlmConfig(currentSettings, meta.projectKey);
+        broadcast({ type: 'status', text: `Calling ${llmConfig.label} (${llmConfig.model})…` });
+        const aiOutput = applyGenerationDefaults(await aiGenerate(params, { signal, onItems }), meta);
+        aiOutput._meta = { ...aiOutput._meta, ...meta, historyId: request.id };
+
+        generation.status = 'done';
+        generation.aiOutput = aiOutput;
+        await addHistoryEntry(request, aiOutput).catch(err => console.warn('[JiraAI] History not saved:', err));
+    } catch (err) {
+        generation.status = signal.aborted ? 'cancelled' : 'error';
+        generation.error = err.message;
+    } finally {
+        generationController = null;
+    }
+
+    await chrome.storage.local.set({ [GENERATION_STORAGE_KEY]: generation });
+    broadcast({ type: 'generation', generation });
+}
+
+/** Stops generation `id`: drops it from the queue, or aborts it while it runs. */
+function cancelGeneration(id) {
+    const queued = queue.findIndex(t => t.type === 'generate' && t.request.id === id);
+    if (queued !== -1) {
+        const [task] = queue.splice(queued, 1);
+        broadcast({ type: 'generation', generation: { id, status: 'cancelled', request: task.request, aiOutput: null, error: '' } });
+    } else if (currentTask?.type === 'generate' && currentTask.request.id === id) {
+        generationController?.abort();
+    }
+}
+
+// ─── Jobs ───────────────────────────────────────────────────────────────────
+
+const onJobProgress = (job) => broadcast({ type: 'job-progress', job });
+
+async function runQueuedJob(jobId) {
+    const job = await getJob(jobId);
+    if (!job) return;
+    useProfile(job.meta.profileId);
+    await runJob(job, onJobProgress);
+    await recordHistoryJob(job).catch(err => console.warn('[JiraAI] History not updated:', err));
+    broadcast({ type: 'job-finished', job });
+    if (job.meta.batchId) await onBatchJobFinished(job);
+    else notifyJobFinished(job);
+}
+
+async function rollbackQueuedJob(jobId) {
+    const job = await getJob(jobId);
+    if (!job) return;
+    useProfile(job.meta.profileId);
+    await rollbackJob(job, onJobProgress);
+    await recordHistoryJob(job).catch(err => console.warn('[JiraAI] History not updated:', err));
+    broadcast({ type: 'job-finished', job, rollback: true });
+}
+
+/**
+ * A fresh worker start means nothing is running, so any job or generation
+ * still marked as running was cut off when the previous worker stopped.
+ */
+async function recoverInterruptedWork() {
+    const jobs = await loadJobs();
+    Object.values(jobs).forEach((j) => {
+        if (j.status === 'queued' || j.status === 'running') enqueue({ type: 'run-job', jobId: j.id });
+        else if (j.status === 'rollingback') enqueue({ type: 'rollback-job', jobId: j.id });
+    });
+
+    const batch = await getBatch();
+    if (batch?.items.some(i => i.status === 'generating' || i.status === 'pending')) {
+        batch.items.forEach((i) => { if (i.status === 'generating') i.status = 'pending'; });
+        await saveBatch();
+        enqueue({ type: 'batch-generate' });
+    }
+
+    const { [GENERATION_STORAGE_KEY]: generation } = await chrome.storage.local.get(GENERATION_STORAGE_KEY);
+    if (generation?.status === 'running') {
+        generation.status = 'error';
+        generation.error = 'Generation was interrupted. Please try again.';
+        await chrome.storage.local.set({ [GENERATION_STORAGE_KEY]: generation });
+    }
+}
+
+recoverInterruptedWork();
+
+// ─── Batch Breakdown ────────────────────────────────────────────────────────
+//
+// One batch at a time: stories found by JQL (or a key list) are generated one
+// after another, reviewed in the popup, then confirmed or skipped per story.
+// The worker is the only writer of the batch record; it lives in memory and
+// is mirrored to storage after every change.
+
+let activeBatch;
+
+async function getBatch() {
+    if (activeBatch === undefined) {
+        const data = await chrome.storage.local.get(BATCH_STORAGE_KEY);
+        // A batch started while storage was being read wins
+        if (activeBatch === undefined) activeBatch = data[BATCH_STORAGE_KEY] || null;
+    }
+    return activeBatch;
+}
+
+async function saveBatch() {
+    await chrome.storage.local.set({ [BATCH_STORAGE_KEY]: activeBatch });
+    broadcast({ type: 'batch', batch: activeBatch });
+}
+
+async function clearBatch() {
+    activeBatch = null;
+    await chrome.storage.local.remove(BATCH_STORAGE_KEY);
+    broadcast({ type: 'batch', batch: null });
+}
+
+async function updateBatchItem(key, changes) {
+    const batch = await getBatch();
+    const item = batch?.items.find(i => i.key === key);
+    if (!item) return;
+    Object.assign(item, changes);
+    await saveBatch();
+}
+
+/**
+ * Finds the stories for a batch. `request.query` is JQL; `request.meta` is
+ * the shared _meta template (options from the Break Story tab).
+ */
+async function startBatch(request) {
+    useProfile(request.meta.profileId);
+    activeBatch = {
+        id: `batch-${Date.now()}`,
+        status: 'searching',
+        query: request.query,
+        numSubtasks: request.numSubtasks,
+        meta: request.meta,
+        items: [],
+        error: '',
+    };
+    await saveBatch();
+
+    try {
+        const issues = await jiraSearch(request.query, ['summary', 'description', 'project', 'subtasks'], MAX_BATCH_STORIES);
+        activeBatch.items = issues
+            .filter(issue => !request.skipWithSubtasks || !(issue.fields.subtasks || []).length)
+            .map(issue => ({
+                key: issue.key,
+                projectKey: issue.fields.project?.key || issue.key.split('-')[0],
+                title: issue.fields.summary || '',
+                description: adfToMarkdown(issue.fields.description),
+                status: 'pending',
+                aiOutput: null,
+                jobId: '',
+                error: '',
+            }));
+        activeBatch.status = activeBatch.items.length ? 'generating' : 'done';
+        if (!activeBatch.items.length) activeBatch.error = 'No matching stories found.';
+    } catch (err) {
+        activeBatch.status = 'error';
+        activeBatch.error = err.message;
+    }
+    await saveBatch();
+
+    if (activeBatch.status === 'generating') enqueue({ type: 'batch-generate' });
+}
+
+async function generateBatchItems() {
+    const batch = await getBatch();
+    if (!batch) return;
+    useProfile(batch.meta.profileId);
+    batch.status = 'generating';
+
+    for (const item of batch.items) {
+        if (activeBatch !== batch) return; // cleared meanwhile
+        if (item.status !== 'pending') continue;
+
+        item.status = 'generating';
+        await saveBatch();
+        try {
+            const sameProject = item.projectKey === batch.meta.projectKey;
+            const vocabulary = await jiraProjectVocabulary(item.projectKey);
+            const meta = {
+                ...batch.meta,
+                parentKey: item.key,
+                projectKey: item.projectKey,
+                // The break type and field options were loaded for one project and may not exist in others
+                breakType: sameProject ? batch.meta.breakType : null,
+                fieldOptions: vocabularyFieldOptions(sameProject ? batch.meta.fieldOptions : undefined, vocabulary),
+                batchId: batch.id,
+            };
+            const story = await jiraGetStoryContext(item.key).catch((err) => {
+                console.warn(`[JiraAI] Context for ${item.key} unavailable:`, err.message);
+                return null;
+            });
+            const aiOutput = applyGenerationDefaults(await aiGenerate({
+                mode: 'breakdown',
+                projectKey: item.projectKey,
+                storyTitle: item.title,
+                storyDescription: item.description,
+                storyContext: formatStoryContext(story),
+                projectVocabulary: formatProjectVocabulary(vocabulary),
+                numSubtasks: batch.numSubtasks,
+                fieldOptions: meta.fieldOptions,
+                allowFewer: Boolean(story?.subtasks?.length),
+            }), meta);
+            aiOutput._meta = { ...aiOutput._meta, ...meta };
+            item.aiOutput = aiOutput;
+            item.status = 'ready';
+        } catch (err) {
+            item.status = 'error';
+            item.error = err.message;
+        }
+        await saveBatch();
+    }
+
+    if (activeBatch === batch) {
+        batch.status = 'ready';
+        await saveBatch();
+    }
+}
+
+/** Queues one creation job per story; `aiOutput` replaces the stored one when reviewed in the popup. */
+async function confirmBatchItems(keys, aiOutput) {
+    const batch = await getBatch();
+    if (!batch) return;
+    // Not a queued task, so it must not switch the profile a running task uses
+    const settings = settingsForProfile(await readStoredSettings(), batch.meta.profileId);
+
+    for (const key of keys) {
+        const item = batch.items.find(i => i.key === key);
+        if (!item || (item.status !== 'ready' && item.status !== 'failed')) continue;
+        if (aiOutput && aiOutput._meta?.parentKey === key) item.aiOutput = aiOutput;
+
+        const existing = item.jobId ? await getJob(item.jobId) : null;
+        const job = existing && existing.status !== 'rolledback' ? existing : withSettings(settings, () => createJob(item.aiOutput));
+        job.status = 'queued';
+        await saveJob(job);
+
+        item.jobId = job.id;
+        item.status = 'queued';
+        enqueue({ type: 'run-job', jobId: job.id });
+    }
+    await saveBatch();
+}
+
+async function onBatchJobFinished(job) {
+    const batch = await getBatch();
+    const item = batch?.id === job.meta.batchId && batch.items.find(i => i.jobId === job.id);
+    if (!item) return;
+
+    item.status = job.status === 'done' ? 'created' : 'failed';
+    item.createdKeys = jobCreatedKeys(job);
+    item.error = job.items.find(i => i.error)?.error || '';
+    await saveBatch();
+
+    // One notification for the whole batch once nothing is left in flight
+    if (!batch.items.some(i => i.status === 'queued')) notifyBatchFinished(batch);
+}
+
+// ─── Notifications ──────────────────────────────────────────────────────────
+
+async function notifyJobFinished(job) {
+    const { jira_url } = currentSettings;
+    const keys = jobCreatedKeys(job);
+    const parentKey = jobRootKey(job);
+
+    let title;
+    let message;
+    if (job.status === 'done') {
+        title = job.meta.mode === 'breakdown'
+            ? `✅ Created ${keys.length} subtasks under ${parentKey}`
+            : `✅ Created ${keys.length} issues in Jira`;
+        message = keys.join(', ');
+    } else {
+        title = '⚠️ Jira creation did not finish';
+        message = `${keys.length}/${job.items.length} created. Open the extension to resume or roll back.`;
+    }
+
+    const links = [];
+    if (parentKey) links.push(`${jira_url}/browse/${parentKey}`);
+    if (keys.length) links.push(`${jira_url}/issues/?jql=${encodeURIComponent(`key in (${keys.join(',')})`)}`);
+
+    chrome.notifications.create(job.id, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title,
+        message,
+        buttons: keys.length ? [{ title: 'Open created issues' }] : [],
+    });
+
+    // Workers are short-lived — keep the click targets in storage
+    const { [NOTIFICATION_LINKS_KEY]: saved = {} } = await chrome.storage.local.get(NOTIFICATION_LINKS_KEY);
+    saved[job.id] = links;
+    await chrome.storage.local.set({ [NOTIFICATION_LINKS_KEY]: saved });
+}
+
+async function notifyBatchFinished(batch) {
+    const { jira_url } = currentSettings;
+    const created = batch.items.filter(i => i.status === 'created');
+    const failed = batch.items.filter(i => i.status === 'failed');
+    const keys = created.flatMap(i => i.createdKeys || []);
+
+    chrome.notifications.create(batch.id, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: failed.length ? '⚠️ Batch breakdown finished with failures' : '✅ Batch breakdown created',
+        message: `${created.length} stories broken down (${keys.length} subtasks)` +
+            (failed.length ? `, ${failed.length} failed: ${failed.map(i => i.key).join(', ')}` : ''),
+        buttons: keys.length ? [{ title: 'Open created issues' }] : [],
+    });
+
+    const links = [];
+    if (created.length) links.push(`${jira_url}/issues/?jql=${encodeURIComponent(`key in (${created.map(i => i.key).join(',')})`)}`);
+    if (keys.length) links.push(`${jira_url}/issues/?jql=${encodeURIComponent(`key in (${keys.join(',')})`)}`);
+    const { [NOTIFICATION_LINKS_KEY]: saved = {} } = await chrome.storage.local.get(NOTIFICATION_LINKS_KEY);
+    saved[batch.id] = links;
+    await chrome.storage.local.set({ [NOTIFICATION_LINKS_KEY]: saved });
+}
+
+async function openNotificationLink(notificationId, index) {
+    const { [NOTIFICATION_LINKS_KEY]: saved = {} } = await chrome.storage.local.get(NOTIFICATION_LINKS_KEY);
+    const links = saved[notificationId] || [];
+    const url = links[Math.min(index, links.length - 1)];
+    if (url) chrome.tabs.create({ url });
+    chrome.notifications.clear(notificationId);
+    delete saved[notificationId];
+    await chrome.storage.local.set({ [NOTIFICATION_LINKS_KEY]: saved });
+}
+
+chrome.notifications.onClicked.addListener((id) => openNotificationLink(id, 0));
+chrome.notifications.onButtonClicked.addListener((id, buttonIndex) => openNotificationLink(id, buttonIndex + 1));
@@ -2,6 +2,11 @@
  * Content script injected into Jira pages.
  * Reads the current issue key from the URL and page title.
  * Responds to messages from the popup.
+ *
+ * On issue views it also adds a "Break down with AI" button that opens the
+ * popup UI in a side panel (popup.html?embedded=1&issue=KEY). The panel
+ * posts back `close` and `created`; after a creation the page is reloaded
+ * when the panel closes so Jira shows the new subtasks.
  */
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -14,8 +19,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 function getJiraContext() {
     const url = window.location.href;
 
-    // Match /browse/PROJ-123 pattern
-    const browseMatch = url.match(/\/browse\/([A-Z][A-Z0-9]+-\d+)/);
+    // Match /browse/PROJ-123 pattern, or an issue opened over a board (?selectedIssue=PROJ-123)
+    const browseMatch = url.match(/\/browse\/([A-Z][A-Z0-9]+-\d+)/) || url.match(/[?&]selectedIssue=([A-Z][A-Z0-9]+-\d+)/);
     if (browseMatch) {
         const issueKey = browseMatch[1];
         const projectKey = issueKey.split('-')[0];
@@ -30,3 +35,96 @@ function getJiraContext() {
 
     return { issueKey: '', projectKey: '', isJiraIssue: false };
 }
+
+// ─── In-page Button & Side Panel ───────────────────────────────────────────
+
+const AI_BUTTON_ID = 'jira-ai-breakdown-button';
+const AI_PANEL_ID = 'jira-ai-breakdown-panel';
+const AI_STYLE_ID = 'jira-ai-breakdown-style';
+
+// Set when the panel created issues; the page reloads once the panel closes
+let refreshOnPanelClose = false;
+let lastUrl = '';
+
+function injectStyles() {
+    if (document.getElementById(AI_STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = AI_STYLE_ID;
+    style.textContent = `
+        #${AI_BUTTON_ID} {
+            position: fixed; right: 24px; bottom: 24px; z-index: 2147483000;
+            padding: 10px 16px; border: none; border-radius: 20px; cursor: pointer;
+            font: 600 13px system-ui, sans-serif; color: #fff;
+            background: linear-gradient(135deg, #6366f1, #8b5cf6);
+            box-shadow: 0 4px 14px rgba(99, 102, 241, 0.45);
+        }
+        #${AI_BUTTON_ID}:hover { filter: brightness(1.1); }
+        #${AI_PANEL_ID} {
+            position: fixed; top: 0; right: 0; z-index: 2147483001;
+            width: 440px; max-width: 100vw; height: 100vh;
+            background: #0d1117; box-shadow: -6px 0 24px rgba(0, 0, 0, 0.35);
+        }
+        #${AI_PANEL_ID} iframe { width: 100%; height: 100%; border: none; }`;
+    document.head.appendChild(style);
+}
+
+/** Shows the button on issue views only; Jira is a single-page app, so this runs on every URL change. */
+function syncAiButton() {
+    const { issueKey } = getJiraContext();
+    let button = document.getElementById(AI_BUTTON_ID);
+
+    if (!issueKey) {
+        button?.remove();
+        return;
+    }
+    if (!button) {
+        injectStyles();
+        button = document.createElement('button');
+        button.id = AI_BUTTON_ID;
+        button.textContent = '✨ Break down with AI';
+        button.addEventListener('click', () => openAiPanel(getJiraContext().issueKey));
+        document.body.appendChild(button);
+    }
+}
+
+function openAiPanel(issueKey) {
+    closeAiPanel();
+    const panel = document.createElement('div');
+    panel.id = AI_PANEL_ID;
+    const frame = document.createElement('iframe');
+    frame.src = chrome.runtime.getURL(`popup.html?embedded=1&issue=${encodeURIComponent(issueKey)}`);
+    frame.title = 'Jira AI Breakdown';
+    panel.appendChild(frame);
+    document.body.appendChild(panel);
+}
+
+function closeAiPanel() {
+    document.getElementById(AI_PANEL_ID)?.remove();
+}
+
+window.addEventListener('message', (event) => {
+    const frame = document.querySelector(`#${AI_PANEL_ID} iframe`);
+    // Only trust messages from our own panel
+    if (!frame || event.source !== frame.contentWindow) return;
+    if (event.origin !== new URL(chrome.runtime.getURL('')).origin) return;
+    if (event.data?.source !== 'jira-ai-breakdown') return;
+
+    if (event.data.type === 'created') {
+        refreshOnPanelClose = true;
+    } else if (event.data.type === 'close') {
+        closeAiPanel();
+        if (refreshOnPanelClose) {
+            refreshOnPanelClose = false;
+            location.reload();
+        }
+    }
+});
+
+// Jira changes views without page loads; polling the URL is cheaper than observing its DOM
+setInterval(() => {
+    if (location.href === lastUrl) return;
+    lastUrl = location.href;
+    syncAiButton();
+}, 1000);
+lastUrl = location.href;
+syncAiButton();
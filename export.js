@@ -0,0 +1,387 @@
+/**
+ * export.js — Plan export and import.
+ *
+ * A plan is what the preview edits (an aiOutput): a parent with title,
+ * description and acceptance_criteria, plus `subtasks` — or, in epic mode,
+ * `stories` that each hold their own `subtasks`. Plans export as JSON, as
+ * CSV for Jira's CSV importer (rows linked by "Issue Id" / "Parent Id") and
+ * as Markdown; the same three formats import back into a plan, Markdown
+ * also as a plain checklist.
+ */
+
+'use strict';
+
+const PLAN_EXPORT_FORMATS = {
+    json: { extension: 'json', mime: 'application/json' },
+    csv: { extension: 'csv', mime: 'text/csv' },
+    md: { extension: 'md', mime: 'text/markdown' },
+};
+
+// The _meta kept in a JSON export; job and history ids only mean something in this browser
+const PLAN_EXPORT_META_KEYS = ['mode', 'projectKey', 'parentKey', 'issueType', 'breakType'];
+
+/** Returns { filename, mime, content } for a download. */
+function exportPlan(plan, format) {
+    const { extension, mime } = PLAN_EXPORT_FORMATS[format];
+    const meta = plan._meta || {};
+    const content = format === 'json' ? planToJson(plan) : format === 'csv' ? planToCsv(plan) : planToMarkdown(plan);
+    const name = meta.parentKey || plan.key || meta.projectKey || 'plan';
+    return { filename: `${name}-${meta.mode || 'plan'}.${extension}`, mime, content };
+}
+
+/** A copy of the plan with each created element's Jira key set as `key` (see createJob's `planPath`). */
+function planWithJobKeys(plan, job) {
+    const keyed = structuredClone(plan);
+    if (job.meta.parentKey) keyed.key = job.meta.parentKey;
+    job.items.forEach((item) => {
+        if (item.status !== 'created' || item.planPath === undefined) return;
+        const target = item.planPath.split('.').filter(Boolean).reduce((node, part) => node?.[part], keyed);
+        if (target) target.key = item.key;
+    });
+    return keyed;
+}
+
+/** Subtasks that will be (or were) created — skipped duplicates are left out. */
+function exportedSubtasks(subtasks) {
+    return (subtasks || []).filter(st => st.duplicate_action !== 'skip');
+}
+
+function titleWithKey(node) {
+    return node.key ? `${node.title} (${node.key})` : node.title;
+}
+
+// ─── JSON ───────────────────────────────────────────────────────────────────
+
+function planToJson(plan) {
+    const { _meta, ...rest } = plan;
+    const meta = Object.fromEntries(PLAN_EXPORT_META_KEYS.filter(k => _meta?.[k]).map(k => [k, _meta[k]]));
+    if (rest.subtasks) rest.subtasks = exportedSubtasks(rest.subtasks);
+    if (rest.stories) rest.stories = rest.stories.map(story => ({ ...story, subtasks: exportedSubtasks(story.subtasks) }));
+    return JSON.stringify({ ...rest, _meta: meta }, (key, value) => (key.startsWith('duplicate') ? undefined : value), 2);
+}
+
+// ─── CSV (Jira importer) ────────────────────────────────────────────────────
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Acceptance criteria as a Markdown list; the lines of a Gherkin scenario stay inside its item. */
+function criteriaList(criteria) {
+    return criteria.map(ac => `- ${ac.replace(/\n/g, '\n  ')}`).join('\n');
+}
+
+/** Description with the acceptance criteria appended, as one text cell. */
+function descriptionWithCriteria(node) {
+    const criteria = criteriaList(node.acceptance_criteria || []);
+    return [node.description || '', criteria && `Acceptance criteria:\n${criteria}`].filter(Boolean).join('\n\n');
+}
+
+/**
+ * One row per issue. New parents get an "Issue Id" their children point at
+ * with "Parent Id"; children of an existing issue name its key in "Parent".
+ * Multiple labels repeat the "Labels" column, as the importer expects.
+ */
+function planToCsv(plan) {
+    const meta = plan._meta || {};
+    const rows = [];
+    const addRow = (node, issueType, parentId = '', parentKey = '') => {
+        rows.push({ id: rows.length + 1, node, issueType, parentId, parentKey });
+        return rows.length;
+    };
+    const addSubtasks = (subtasks, parentId, parentKey) => {
+        exportedSubtasks(subtasks).forEach(st => addRow(st, meta.breakType || 'Sub-task', parentId, parentKey));
+    };
+
+    if (meta.mode === 'epic') {
+        const epicId = meta.parentKey ? '' : addRow(plan, 'Epic');
+        (plan.stories || []).forEach((story) => {
+            const storyId = addRow(story, meta.issueType || 'Story', epicId, meta.parentKey || '');
+            addSubtasks(story.subtasks, storyId, '');
+        });
+    } else if (meta.mode === 'create') {
+        addSubtasks(plan.subtasks, addRow(plan, meta.issueType || 'Story'), '');
+    } else {
+        addSubtasks(plan.subtasks, '', meta.parentKey || plan.key || '');
+    }
+
+    const labelColumns = Math.max(1, ...rows.map(r => (r.node.labels || []).length));
+    const hasKeys = rows.some(r => r.node.key);
+    const header = ['Issue Id', 'Parent Id', 'Parent', 'Issue Type', 'Summary', 'Description', 'Priority', 'Component', 'Fix Version', 'Story Points',
+        ...Array(labelColumns).fill('Labels'), ...(hasKeys ? ['Created Key'] : [])];
+    const lines = rows.map(({ id, node, issueType, parentId, parentKey }) => {
+        const labels = node.labels || [];
+        return [id, parentId, parentKey, issueType, node.title, descriptionWithCriteria(node), node.priority, node.component,
+            node.fix_version, node.story_points, ...Array.from({ length: labelColumns }, (_, i) => labels[i]), ...(hasKeys ? [node.key] : [])];
+    });
+    return [header, ...lines].map(cells => cells.map(csvCell).join(',')).join('\r\n');
+}
+
+/** RFC 4180 rows: quoted cells may hold commas, quotes ("") and line breaks. */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length) rows.push([...row, cell]);
+    return rows.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * Splits a description that ends in an "Acceptance criteria:" list back into
+ * both parts. Indented lines continue the criterion above (see criteriaList).
+ */
+function splitCriteria(text) {
+    const lines = (text || '').split(/\r?\n/);
+    const at = lines.findIndex(l => /^\s*\**acceptance criteria:?\**:?\s*$/i.test(l));
+    if (at === -1) return { description: (text || '').trim(), acceptance_criteria: [] };
+    const criteria = [];
+    lines.slice(at + 1).forEach((line) => {
+        if (MD_CRITERIA_CONTINUATION.test(line) && criteria.length) {
+            criteria[criteria.length - 1] += `\n${line.trim()}`;
+            return;
+        }
+        const text = line.replace(/^\s*[-*+]\s+(\[[ xX]\]\s+)?/, '').trim();
+        if (text) criteria.push(text);
+    });
+    return { description: lines.slice(0, at).join('\n').trim(), acceptance_criteria: criteria };
+}
+
+function csvToPlan(text) {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header || []).map(h => h.trim().toLowerCase());
+    const col = name => columns.indexOf(name);
+    if (col('summary') === -1) throw new Error('CSV needs a "Summary" column');
+
+    const get = (row, name) => (col(name) === -1 ? '' : (row[col(name)] || '').trim());
+    const labelIdx = columns.map((c, i) => (c === 'labels' ? i : -1)).filter(i => i !== -1);
+    const nodes = rows.map(row => ({
+        id: get(row, 'issue id'),
+        parentId: get(row, 'parent id'),
+        issueType: get(row, 'issue type'),
+        item: {
+            title: get(row, 'summary'),
+            ...splitCriteria(get(row, 'description')),
+            priority: get(row, 'priority') || null,
+            component: get(row, 'component') || get(row, 'components') || null,
+            fix_version: get(row, 'fix version') || get(row, 'fix versions') || null,
+            story_points: get(row, 'story points') === '' ? null : parseFloat(get(row, 'story points')),
+            labels: labelIdx.flatMap(i => (row[i] || '').split(/\s+/)).filter(Boolean),
+            children: [],
+        },
+    })).filter(n => n.item.title);
+
+    // Rebuild the tree from Issue Id / Parent Id; unknown parents make a row top-level
+    const byId = new Map(nodes.filter(n => n.id).map(n => [n.id, n]));
+    const tops = [];
+    nodes.forEach((n) => {
+        const parent = n.parentId && byId.get(n.parentId);
+        if (parent) parent.item.children.push(n.item);
+        else tops.push(n);
+    });
+
+    // One new parent (or epic) at the top becomes the root; otherwise the rows are its children
+    const isSubtaskType = type => /sub-?task/i.test(type);
+    let root = { title: '', description: '', acceptance_criteria: [], children: tops.map(n => n.item) };
+    if (tops.length === 1 && !isSubtaskType(tops[0].issueType) && tops[0].item.children.length) root = tops[0].item;
+    return treeToPlan(root);
+}
+
+/** Turns { ...parent, children } into a plan; grandchildren mean an epic plan with stories. */
+function treeToPlan(root) {
+    const { children, ...parent } = root;
+    const strip = ({ children: _, ...node }) => node;
+    if (children.some(c => c.children?.length)) {
+        return { ...parent, stories: children.map(story => ({ ...strip(story), subtasks: (story.children || []).map(strip) })) };
+    }
+    return { ...parent, subtasks: children.map(strip) };
+}
+
+// ─── Markdown ───────────────────────────────────────────────────────────────
+
+function markdownSection(node, subtaskHeading) {
+    const parts = [];
+    if (node.description) parts.push(node.description);
+    if (node.acceptance_criteria?.length) {
+        parts.push(`Acceptance criteria:\n${criteriaList(node.acceptance_criteria)}`);
+    }
+    exportedSubtasks(node.subtasks).forEach((st) => {
+        parts.push(`${subtaskHeading} ${titleWithKey(st)}`);
+        if (st.description) parts.push(st.description);
+        if (st.acceptance_criteria?.length) {
+            parts.push(`Acceptance criteria:\n${criteriaList(st.acceptance_criteria)}`);
+        }
+    });
+    return parts;
+}
+
+/**
+ * `#` the parent, `## Story: …` each story (epic mode) and `###` each
+ * subtask; acceptance criteria follow an "Acceptance criteria:" line.
+ */
+function planToMarkdown(plan) {
+    const meta = plan._meta || {};
+    const parts = [`# ${titleWithKey({ title: plan.title || meta.parentKey || 'Plan', key: plan.key })}`];
+    if (plan.description) parts.push(plan.description);
+    if (plan.acceptance_criteria?.length) {
+        parts.push(`## Acceptance Criteria\n${criteriaList(plan.acceptance_criteria)}`);
+    }
+    if (plan.stories) {
+        plan.stories.forEach((story) => {
+            parts.push(`## Story: ${titleWithKey(story)}`, ...markdownSection(story, '###'));
+        });
+    } else {
+        parts.push('## Subtasks', ...markdownSection({ subtasks: plan.subtasks }, '###'));
+    }
+    return `${parts.join('\n\n')}\n`;
+}
+
+const MD_IMPORT_HEADING = /^(#{1,6})\s+(.*?)\s*#*$/;
+const MD_IMPORT_LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+const MD_CRITERIA_LINE = /^\s*\**acceptance criteria:?\**:?\s*$/i;
+// An indented line that is not a list item: the next line of a Gherkin scenario
+const MD_CRITERIA_CONTINUATION = /^\s+(?![-*+]\s|\d+[.)]\s)\S/;
+
+/** Drops a trailing " (KAN-12)" — an imported plan creates new issues. */
+function stripKey(title) {
+    return title.replace(/\s+\([A-Z][A-Z0-9]+-\d+\)$/, '').trim();
+}
+
+/**
+ * Reads our own Markdown export, or any checklist: `#` is the parent title,
+ * `## Story: …` starts a story, `###` (or deeper) starts a subtask, and list
+ * items directly under the parent or a story become subtasks too.
+ */
+function markdownToPlan(text) {
+    const plan = { title: '', description: '', acceptance_criteria: [], subtasks: [], stories: [] };
+    const newNode = title => ({ title: stripKey(title), description: '', acceptance_criteria: [] });
+    let story = null;
+    let current = plan; // receives description lines and criteria
+    let section = 'description'; // 'description' | 'criteria' | 'list'
+    const container = () => (story ? story.subtasks : plan.subtasks);
+    const addSubtask = (title) => {
+        current = newNode(title);
+        container().push(current);
+    };
+
+    text.split(/\r?\n/).forEach((line) => {
+        const heading = line.match(MD_IMPORT_HEADING);
+        if (heading) {
+            const [, hashes, title] = heading;
+            if (hashes.length === 1 && !plan.title) {
+                plan.title = stripKey(title);
+                current = plan;
+                section = 'description';
+            } else if (hashes.length <= 2 && /^acceptance criteria$/i.test(title)) {
+                current = story || plan;
+                section = 'criteria';
+            } else if (hashes.length <= 2 && /^story:/i.test(title)) {
+                story = { ...newNode(title.replace(/^story:\s*/i, '')), subtasks: [] };
+                plan.stories.push(story);
+                current = story;
+                section = 'description';
+            } else if (hashes.length <= 2) {
+                // "## Subtasks", "## Tasks", …: a list of subtasks follows
+                current = story || plan;
+                section = 'list';
+            } else {
+                addSubtask(title);
+                section = 'description';
+            }
+            return;
+        }
+
+        if (MD_CRITERIA_LINE.test(line)) {
+            section = 'criteria';
+            return;
+        }
+
+        const item = line.match(MD_IMPORT_LIST_ITEM);
+        const isChild = current !== plan && current !== story;
+        if (item && section === 'criteria') {
+            current.acceptance_criteria.push(item[2].trim());
+        } else if (section === 'criteria' && MD_CRITERIA_CONTINUATION.test(line) && current.acceptance_criteria.length) {
+            const last = current.acceptance_criteria.length - 1;
+            current.acceptance_criteria[last] += `\n${line.trim()}`;
+        } else if (item && (section === 'list' || !isChild) && !item[1]) {
+            addSubtask(item[2]);
+            section = 'list';
+        } else if (line.trim() || current.description) {
+            // Indented lines under a checklist item describe it
+            current.description += `${current.description ? '\n' : ''}${section === 'list' ? line.trim() : line}`;
+        }
+    });
+
+    const tidy = (node) => { node.description = node.description.trim(); return node; };
+    [plan, ...plan.subtasks, ...plan.stories, ...plan.stories.flatMap(s => s.subtasks)].forEach(tidy);
+    const { stories, subtasks, ...parent } = plan;
+    return stories.length ? { ...parent, stories } : { ...parent, subtasks };
+}
+
+// ─── Import ─────────────────────────────────────────────────────────────────
+
+function importSubtask(obj) {
+    const st = typeof obj === 'string' ? { title: obj } : obj || {};
+    return {
+        ...st,
+        title: String(st.title || '').trim(),
+        description: String(st.description || ''),
+        acceptance_criteria: Array.isArray(st.acceptance_criteria) ? st.acceptance_criteria.map(String) : [],
+    };
+}
+
+/**
+ * Parses an imported file into a plan without `_meta`; the popup adds the
+ * meta of the tab it is imported into. Throws when nothing usable is found.
+ */
+function parsePlanFile(text, filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    let plan;
+    if (extension === 'json' || /^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        plan = Array.isArray(data) ? { subtasks: data } : data;
+        delete plan._meta;
+    } else if (extension === 'csv') {
+        plan = csvToPlan(text);
+    } else {
+        plan = markdownToPlan(text);
+    }
+
+    const parent = {
+        title: String(plan.title || '').trim(),
+        description: String(plan.description || ''),
+        acceptance_criteria: Array.isArray(plan.acceptance_criteria) ? plan.acceptance_criteria.map(String) : [],
+    };
+    if (Array.isArray(plan.stories) && plan.stories.length) {
+        const stories = plan.stories.map(story => ({
+            ...importSubtask(story),
+            subtasks: (Array.isArray(story.subtasks) ? story.subtasks : []).map(importSubtask).filter(st => st.title),
+        })).filter(story => story.title);
+        if (stories.length) return { ...parent, stories };
+    }
+    const subtasks = (Array.isArray(plan.subtasks) ? plan.subtasks : []).map(importSubtask).filter(st => st.title);
+    if (!subtasks.length) throw new Error('No subtasks or stories found in the file');
+    return { ...parent, subtasks };
+}
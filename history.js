@@ -0,0 +1,98 @@
+/**
+ * history.js — Generation history.
+ *
+ * Every generated preview is kept in chrome.storage.local with its inputs,
+ * AI output (including `_meta`) and, once confirmed, the keys it created.
+ * The popup lists, searches, reopens and clones entries; the background
+ * service worker records new generations and finished jobs.
+ *
+ * A preview carries its entry id as `_meta.historyId`, and jobs copy it, so
+ * edits and creation results land on the right entry.
+ */
+
+'use strict';
+
+const HISTORY_STORAGE_KEY = 'history';
+const MAX_HISTORY_ENTRIES = 50;
+
+/** Entries, newest first. */
+async function loadHistory() {
+    const data = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+    return data[HISTORY_STORAGE_KEY] || [];
+}
+
+async function saveHistory(entries) {
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries.slice(0, MAX_HISTORY_ENTRIES) });
+}
+
+/** Records a new preview; `request` holds the inputs it was generated (or cloned) from. */
+async function addHistoryEntry(request, aiOutput) {
+    const meta = aiOutput._meta || {};
+    const entry = {
+        id: meta.historyId,
+        createdAt: Date.now(),
+        mode: meta.mode,
+        projectKey: meta.projectKey || '',
+        parentKey: meta.parentKey || '',
+        request,
+        aiOutput,
+        createdKeys: [],
+        confirmedAt: null,
+    };
+    const entries = (await loadHistory()).filter(e => e.id !== entry.id);
+    await saveHistory([entry, ...entries]);
+    return entry;
+}
+
+/** Merges `changes` into an entry; a missing entry (pruned meanwhile) is ignored. */
+async function updateHistoryEntry(id, changes) {
+    if (!id) return;
+    const entries = await loadHistory();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return;
+    Object.assign(entry, changes);
+    await saveHistory(entries);
+}
+
+/** Notes what a finished job created; only a complete job counts as confirmed. */
+async function recordHistoryJob(job) {
+    await updateHistoryEntry(job.meta.historyId, {
+        createdKeys: jobCreatedKeys(job),
+        confirmedAt: job.status === 'done' ? Date.now() : null,
+    });
+}
+
+/**
+ * 'confirmed' once created in Jira, 'open' while it is the preview being
+ * edited, otherwise 'abandoned'.
+ */
+function historyStatus(entry, openId) {
+    if (entry.confirmedAt) return 'confirmed';
+    return entry.id === openId ? 'open' : 'abandoned';
+}
+
+/** One line describing an entry: the key it belongs to and its title. */
+function historyTitle(entry) {
+    const { aiOutput } = entry;
+    const firstStory = aiOutput.stories?.[0]?.title;
+    const firstSubtask = aiOutput.subtasks?.[0]?.title;
+    const title = aiOutput.title || firstStory || firstSubtask || '(untitled)';
+    return entry.parentKey ? `${entry.parentKey} · ${title}` : title;
+}
+
+/** Case-insensitive match on keys, titles and descriptions, subtasks included. */
+function historyMatches(entry, query) {
+    if (!query) return true;
+    const { aiOutput } = entry;
+    const children = [...(aiOutput.subtasks || []), ...(aiOutput.stories || []).flatMap(s => [s, ...(s.subtasks || [])])];
+    const text = [
+        entry.projectKey,
+        entry.parentKey,
+        ...entry.createdKeys,
+        entry.request?.description,
+        aiOutput.title,
+        aiOutput.description,
+        ...children.map(c => c.title),
+    ].filter(Boolean).join('\n').toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
@@ -0,0 +1,874 @@
+/**
+ * jira.js — Jira Cloud REST API (v3) helpers.
+ *
+ * Shared by popup.js and background.js. Credentials come from the global
+ * `currentSettings` (jira_url / jira_email / jira_token) each context loads
+ * from chrome.storage.sync and flattens for one profile (settingsForProfile).
+ *
+ * Every call goes through jiraRequest (retries, rate limits, cancellation,
+ * JiraError) and, for offset-paginated lists, jiraPaginate.
+ */
+
+'use strict';
+
+// jira_url … field_map at the top level are settings saved before profiles existed
+const JIRA_SETTINGS_KEYS = ['jira_url', 'jira_email', 'jira_token', 'field_map', 'jira_profiles', 'active_profile'];
+
+// ─── Profiles ───────────────────────────────────────────────────────────────
+//
+// A profile is one Jira site with its own credentials, custom field mapping
+// and (optionally) default AI provider:
+// { [id]: { name, jira_url, jira_email, jira_token, field_map, llm_provider } }.
+
+const JIRA_PROFILES_KEY = 'jira_profiles';
+const ACTIVE_PROFILE_KEY = 'active_profile';
+
+/** Profiles by id; settings saved before profiles existed become the "default" profile. */
+function jiraProfiles(data) {
+    const profiles = { ...(data[JIRA_PROFILES_KEY] || {}) };
+    if (!Object.keys(profiles).length && data.jira_url) {
+        profiles.default = {
+            name: 'Default',
+            jira_url: data.jira_url,
+            jira_email: data.jira_email || '',
+            jira_token: data.jira_token || '',
+            field_map: data.field_map || {},
+            llm_provider: '',
+        };
+    }
+    return profiles;
+}
+
+/**
+ * Flattens stored settings for one profile — `profileId`, else the active
+ * one, else the first — into the keys jira.js and llm.js read. The chosen
+ * id is returned as `profileId`.
+ */
+function settingsForProfile(data, profileId) {
+    const profiles = jiraProfiles(data);
+    const id = [profileId, data[ACTIVE_PROFILE_KEY], Object.keys(profiles)[0]].find(p => p && profiles[p]) || '';
+    const profile = profiles[id] || {};
+    return {
+        ...data,
+        jira_url: profile.jira_url || '',
+        jira_email: profile.jira_email || '',
+        jira_token: profile.jira_token || '',
+        field_map: profile.field_map || {},
+        llm_provider: profile.llm_provider || data.llm_provider,
+        profileId: id,
+    };
+}
+
+/** Id of the profile whose site is `host` (e.g. acme.atlassian.net), or null. */
+function profileForHost(data, host) {
+    const match = Object.entries(jiraProfiles(data)).find(([, profile]) => {
+        try {
+            return new URL(profile.jira_url).host === host;
+        } catch {
+            return false;
+        }
+    });
+    return match ? match[0] : null;
+}
+
+function jiraHeaders() {
+    const { jira_email, jira_token } = currentSettings;
+    return {
+        'Authorization': 'Basic ' + btoa(`${jira_email}:${jira_token}`),
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+    };
+}
+
+// ─── Client ─────────────────────────────────────────────────────────────────
+//
+// Jira Cloud rate-limits per user: writes are spaced out, 429s honour
+// Retry-After, and 5xx or network failures are retried with backoff. POSTs
+// are only retried on 429 (nothing was created), since a retried create
+// after a lost response would duplicate the issue.
+
+const JIRA_WRITE_SPACING_MS = 300;
+const JIRA_MAX_RETRIES = 4;
+const JIRA_RETRY_STATUSES = [500, 502, 503, 504];
+let _lastJiraWriteAt = 0;
+
+// Readable names for field ids in error messages; mapped custom fields use their own names
+const JIRA_FIELD_LABELS = {
+    summary: 'Summary',
+    description: 'Description',
+    issuetype: 'Issue Type',
+    parent: 'Parent',
+    duedate: 'Due Date',
+    priority: 'Priority',
+    labels: 'Labels',
+    components: 'Component',
+    assignee: 'Assignee',
+    fixVersions: 'Fix Version',
+};
+
+/**
+ * A failed Jira response. `fields` maps each rejected field id to Jira's
+ * reason (usually a 400 from a create or edit); `permission` is set when
+ * the account lacks a permission (403, or a 400 saying so).
+ */
+class JiraError extends Error {
+    constructor(status, { messages = [], fields = {} } = {}) {
+        const permission = status === 403 || messages.some(m => /permission/i.test(m));
+        const fieldText = Object.entries(fields).map(([id, reason]) => `${jiraFieldLabel(id)}: ${reason}`);
+        let detail = [...messages, ...fieldText].join('; ');
+        if (status === 401) detail = 'the email or API token was rejected';
+        else if (status === 403 && !detail) detail = 'your account lacks the permission for this action';
+        super(`Jira error: ${detail || `HTTP ${status}`}`);
+        this.name = 'JiraError';
+        this.status = status;
+        this.fields = fields;
+        this.permission = permission;
+    }
+}
+
+function jiraFieldLabel(fieldId) {
+    if (JIRA_FIELD_LABELS[fieldId]) return JIRA_FIELD_LABELS[fieldId];
+    const mapped = Object.values(currentSettings[FIELD_MAP_KEY] || {})
+        .flatMap(project => Object.values(project))
+        .find(field => field.id === fieldId);
+    return mapped?.name || fieldId;
+}
+
+/** Resolves after `ms`, or rejects as soon as `signal` aborts. */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        // A long-lived signal would otherwise collect one listener per retry
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/** Retry-After if Jira sent one, else exponential backoff with jitter. */
+function jiraRetryDelay(resp, attempt) {
+    const retryAfter = parseInt(resp?.headers.get('Retry-After'), 10);
+    if (Number.isFinite(retryAfter)) return retryAfter * 1000;
+    return 2 ** attempt * 1000 + Math.random() * 250;
+}
+
+/**
+ * `path` is relative to /rest/api/3/ unless it starts with /rest/ (e.g. the Agile API).
+ * With `text: true` the raw response body is returned instead of parsed JSON.
+ * Aborting `signal` cancels the request, including any wait between retries.
+ */
+async function jiraRequest(method, path, body, { text = false, signal } = {}) {
+    const { jira_url } = currentSettings;
+    const url = path.startsWith('/rest/') ? `${jira_url}${path}` : `${jira_url}/rest/api/3/${path}`;
+    const opts = { method, headers: jiraHeaders(), signal };
+    if (body) opts.body = JSON.stringify(body);
+    const idempotent = method !== 'POST';
+
+    let resp;
+    for (let attempt = 0; ; attempt++) {
+        if (method !== 'GET') {
+            const wait = _lastJiraWriteAt + JIRA_WRITE_SPACING_MS - Date.now();
+            if (wait > 0) await sleep(wait, signal);
+            _lastJiraWriteAt = Date.now();
+        }
+
+        try {
+            resp = await fetch(url, opts);
+        } catch (err) {
+            // Network failure; an abort is passed on as it is
+            if (err.name === 'AbortError' || !idempotent || attempt >= JIRA_MAX_RETRIES) throw err;
+            console.warn(`[JiraAI] ${method} ${path} failed (${err.message}), retrying`);
+            await sleep(jiraRetryDelay(null, attempt), signal);
+            continue;
+        }
+
+        const retryable = resp.status === 429 || (idempotent && JIRA_RETRY_STATUSES.includes(resp.status));
+        if (!retryable || attempt >= JIRA_MAX_RETRIES) break;
+        await sleep(jiraRetryDelay(resp, attempt), signal);
+    }
+
+    if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        throw new JiraError(resp.status, { messages: err.errorMessages || [], fields: err.errors || {} });
+    }
+
+    if (text) return resp.text();
+    if (resp.status === 204) return {};
+    return resp.json();
+}
+
+/**
+ * Every item of an offset-paginated list, up to `max`. Handles both page
+ * objects ({ values, isLast, total }) and endpoints returning plain arrays
+ * (e.g. user search), which may return short pages before the end and so
+ * are read until an empty one.
+ */
+async function jiraPaginate(path, { max = 1000, pageSize = 100, signal } = {}) {
+    const items = [];
+    const separator = path.includes('?') ? '&' : '?';
+    while (items.length < max) {
+        const data = await jiraRequest('GET', `${path}${separator}startAt=${items.length}&maxResults=${pageSize}`, null, { signal });
+        const page = Array.isArray(data) ? data : (data.values || []);
+        items.push(...page);
+        const isLast = Array.isArray(data)
+            ? !page.length
+            : data.isLast ?? items.length >= (data.total ?? items.length);
+        if (isLast || !page.length) break;
+    }
+    return items.slice(0, max);
+}
+
+/**
+ * Runs a JQL search through the enhanced search endpoint, following
+ * `nextPageToken` until `max` issues are collected.
+ */
+async function jiraSearch(jql, fields, max = 50) {
+    const issues = [];
+    let nextPageToken;
+    do {
+        const params = new URLSearchParams({ jql, fields: fields.join(','), maxResults: String(Math.min(100, max - issues.length)) });
+        if (nextPageToken) params.set('nextPageToken', nextPageToken);
+        const data = await jiraRequest('GET', `search/jql?${params}`);
+        issues.push(...(data.issues || []));
+        nextPageToken = data.isLast ? null : data.nextPageToken;
+    } while (nextPageToken && issues.length < max);
+    return issues.slice(0, max);
+}
+
+async function jiraGetIssue(issueKey) {
+    const data = await jiraRequest('GET', `issue/${issueKey}?fields=summary,description,project,issuetype`);
+    const fields = data.fields || {};
+    return {
+        key: issueKey,
+        title: fields.summary || '',
+        description: adfToMarkdown(fields.description),
+        projectKey: fields.project?.key || '',
+    };
+}
+
+// ─── Story Context ─────────────────────────────────────────────────────────
+//
+// What the model should know about a story beyond its description. Only the
+// story itself is required; the epic and attachments are fetched best-effort.
+// ai.js (formatStoryContext) trims the result to a token budget.
+
+const STORY_CONTEXT_FIELDS = ['summary', 'description', 'project', 'issuetype', 'comment', 'attachment', 'issuelinks', 'subtasks', 'parent'];
+const MAX_CONTEXT_ATTACHMENTS = 3;
+const MAX_CONTEXT_ATTACHMENT_BYTES = 50 * 1024;
+const TEXT_ATTACHMENT_TYPES = /^text\/|json|xml|yaml|csv|markdown/i;
+
+async function jiraGetStoryContext(issueKey) {
+    const projectKey = issueKey.split('-')[0];
+    const epicField = ((currentSettings[FIELD_MAP_KEY] || {})[projectKey] || {}).epicLink;
+    const fields = [...STORY_CONTEXT_FIELDS, epicField?.id].filter(Boolean);
+
+    const data = await jiraRequest('GET', `issue/${issueKey}?fields=${fields.join(',')}`);
+    const f = data.fields || {};
+
+    // Epic: the story's parent (team-managed and newer company-managed projects) or the mapped Epic Link
+    const epicKey = (!f.issuetype?.subtask && f.parent?.key) || (epicField && f[epicField.id]) || null;
+    const epic = epicKey ? await jiraGetIssue(epicKey).catch(() => null) : null;
+
+    const textAttachments = (f.attachment || [])
+        .filter(a => TEXT_ATTACHMENT_TYPES.test(a.mimeType || '') && a.size <= MAX_CONTEXT_ATTACHMENT_BYTES)
+        .slice(0, MAX_CONTEXT_ATTACHMENTS);
+    const attachments = (await Promise.all(textAttachments.map(async (a) => {
+        try {
+            return { filename: a.filename, text: await jiraRequest('GET', `attachment/content/${a.id}`, null, { text: true }) };
+        } catch (err) {
+            console.warn(`[JiraAI] Could not read attachment ${a.filename}:`, err.message);
+            return null;
+        }
+    }))).filter(Boolean);
+
+    return {
+        key: issueKey,
+        title: f.summary || '',
+        description: adfToMarkdown(f.description),
+        projectKey: f.project?.key || projectKey,
+        epic: epic && { key: epic.key, title: epic.title, description: epic.description },
+        subtasks: (f.subtasks || []).map(st => ({
+            key: st.key,
+            title: st.fields?.summary || '',
+            status: st.fields?.status?.name || '',
+        })),
+        links: (f.issuelinks || []).map((link) => {
+            const other = link.outwardIssue || link.inwardIssue;
+            return {
+                relation: link.outwardIssue ? link.type?.outward : link.type?.inward,
+                key: other?.key || '',
+                title: other?.fields?.summary || '',
+                status: other?.fields?.status?.name || '',
+            };
+        }),
+        // Newest first, so trimming to the budget drops the oldest
+        comments: (f.comment?.comments || []).slice().reverse().map(c => ({
+            author: c.author?.displayName || 'Someone',
+            created: (c.created || '').slice(0, 10),
+            body: adfToMarkdown(c.body),
+        })),
+        attachments,
+    };
+}
+
+/**
+ * Description (Markdown) plus an "Acceptance Criteria" list, as ADF (see
+ * adf.js). With `acFormat` 'gherkin' each criterion is a scenario and
+ * becomes a gherkin code block.
+ */
+function buildAdf(description, acceptanceCriteria, acFormat = 'list') {
+    const content = [];
+    if (description) {
+        content.push(...markdownToAdf(description).content);
+    }
+    if (acceptanceCriteria && acceptanceCriteria.length > 0) {
+        content.push({ type: 'heading', attrs: { level: 3 }, content: [{ type: 'text', text: 'Acceptance Criteria' }] });
+        if (acFormat === 'gherkin') {
+            content.push(...acceptanceCriteria.map(scenario => ({
+                type: 'codeBlock',
+                attrs: { language: 'gherkin' },
+                content: [{ type: 'text', text: scenario }],
+            })));
+        } else {
+            content.push({
+                type: 'bulletList',
+                content: acceptanceCriteria.map(ac => ({
+                    type: 'listItem',
+                    content: [{ type: 'paragraph', content: parseMdInline(ac) }],
+                })),
+            });
+        }
+    }
+    return { version: 1, type: 'doc', content };
+}
+
+/** `parentKey` (optional) puts the new issue under an epic. */
+async function jiraCreateIssue({ projectKey, issueType, title, description, acceptanceCriteria, acFormat, parentKey, extraFields }) {
+    const fields = {
+        project: { key: projectKey },
+        summary: title,
+        description: buildAdf(description, acceptanceCriteria, acFormat),
+        issuetype: { name: issueType },
+    };
+    if (parentKey) fields.parent = { key: parentKey };
+    const result = await jiraRequest('POST', 'issue', { fields });
+    await jiraUpdateFieldsBestEffort(result.key, extraFields);
+    return result;
+}
+
+/**
+ * Sets optional fields after creation. If the combined update is rejected
+ * (typically one field missing from the Edit screen), the fields Jira named
+ * are dropped, or else each field is retried on its own, so the others
+ * still land.
+ */
+async function jiraUpdateFieldsBestEffort(issueKey, fields) {
+    const entries = Object.entries(fields || {});
+    if (!entries.length) return;
+    try {
+        await jiraRequest('PUT', `issue/${issueKey}`, { fields });
+        return;
+    } catch (err) {
+        const rejected = Object.keys(err.fields || {}).filter(id => id in fields);
+        if (rejected.length) {
+            console.warn(`[JiraAI] Skipped ${rejected.map(jiraFieldLabel).join(', ')} on ${issueKey}.`, err);
+            return jiraUpdateFieldsBestEffort(issueKey, Object.fromEntries(entries.filter(([id]) => !rejected.includes(id))));
+        }
+        if (entries.length === 1) {
+            console.warn(`[JiraAI] Failed to set ${entries[0][0]} on ${issueKey}. Field might be missing from Edit screen.`, err);
+            return;
+        }
+    }
+    for (const [id, value] of entries) {
+        try {
+            await jiraRequest('PUT', `issue/${issueKey}`, { fields: { [id]: value } });
+        } catch (err) {
+            console.warn(`[JiraAI] Failed to set ${id} on ${issueKey}. Field might be missing from Edit screen.`, err);
+        }
+    }
+}
+
+async function jiraCreateSubtask({ parentKey, projectKey, title, description, acceptanceCriteria, acFormat, breakType, extraFields }) {
+    // If breakType is specified (and not empty), use it; otherwise auto-detect default subtask type
+    const typeName = breakType ? breakType : await detectSubtaskTypeName(projectKey);
+
+    const baseFields = {
+        project: { key: projectKey },
+        parent: { key: parentKey },
+        summary: title,
+        description: buildAdf(description, acceptanceCriteria, acFormat),
+        issuetype: { name: typeName },
+    };
+
+    // 1. Create with ESSENTIAL fields only (to avoid "Field not on screen" errors blocking creation)
+    const result = await jiraRequest('POST', 'issue', { fields: baseFields });
+
+    // 2. Try to update with EXTRA fields (optional) — errors are swallowed so creation success is preserved
+    await jiraUpdateFieldsBestEffort(result.key, extraFields);
+
+    return result;
+}
+
+// ─── Duplicate Detection ───────────────────────────────────────────────────
+//
+// Proposed subtasks are compared with the story's existing subtasks and with
+// a JQL text search over the project; candidates are scored locally by word
+// overlap (Dice coefficient) so the search itself can stay broad.
+
+const DUPLICATE_SCORE_THRESHOLD = 0.5;
+const MAX_DUPLICATE_MATCHES = 3;
+const SIMILARITY_STOPWORDS = new Set(('the and for with from into that this are was will add new use '
+    + 'all any can via per its our out set get not make update create').split(' '));
+
+/** Significant, normalised words of a title ("Adding APIs" → adding, api). */
+function similarityTokens(text) {
+    return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+        .filter(w => w.length > 2 && !SIMILARITY_STOPWORDS.has(w))
+        .map(w => (w.length > 4 ? w.replace(/s$/, '') : w)));
+}
+
+function titleSimilarity(a, b) {
+    const ta = similarityTokens(a);
+    const tb = similarityTokens(b);
+    if (!ta.size || !tb.size) return 0;
+    let shared = 0;
+    ta.forEach((w) => { if (tb.has(w)) shared++; });
+    return (2 * shared) / (ta.size + tb.size);
+}
+
+/**
+ * For each title, the existing issues that likely duplicate it:
+ * [[{ key, title, status, score }], ...] in the order of `titles`. All
+ * titles share one project search, so a preview costs at most two requests.
+ */
+async function jiraFindDuplicates({ projectKey, parentKey }, titles) {
+    const fields = ['summary', 'status'];
+    const siblings = parentKey ? await jiraSearch(`parent = ${parentKey}`, fields, 100) : [];
+
+    // Longest words are the most distinctive; OR them so wording differences still match
+    const words = new Set(titles.flatMap(title =>
+        [...similarityTokens(title)].sort((a, b) => b.length - a.length).slice(0, 5)));
+    const found = words.size
+        ? await jiraSearch(`project = "${projectKey}" AND (${[...words].map(w => `summary ~ "${w}"`).join(' OR ')}) ORDER BY updated DESC`, fields, Math.min(100, 20 * titles.length))
+        : [];
+
+    const candidates = new Map();
+    [...siblings, ...found].forEach(issue => candidates.set(issue.key, issue));
+    candidates.delete(parentKey);
+
+    return titles.map(title => [...candidates.values()]
+        .map(issue => ({
+            key: issue.key,
+            title: issue.fields?.summary || '',
+            status: issue.fields?.status?.name || '',
+            score: titleSimilarity(title, issue.fields?.summary),
+        }))
+        .filter(match => match.score >= DUPLICATE_SCORE_THRESHOLD)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_DUPLICATE_MATCHES));
+}
+
+/**
+ * Links two issues so that `fromKey` gets the link type's outward verb:
+ * ('KAN-1', 'KAN-2', 'Blocks') reads "KAN-1 blocks KAN-2". The REST API
+ * names the sides the other way round, hence the swap.
+ */
+async function jiraLinkIssues(fromKey, toKey, typeName = 'Relates') {
+    return jiraRequest('POST', 'issueLink', {
+        type: { name: typeName },
+        inwardIssue: { key: fromKey },
+        outwardIssue: { key: toKey },
+    });
+}
+
+/** Removes every link between two issues; missing links are not an error. */
+async function jiraUnlinkIssues(issueKey, otherKey) {
+    const data = await jiraRequest('GET', `issue/${issueKey}?fields=issuelinks`);
+    const links = (data.fields?.issuelinks || [])
+        .filter(l => (l.outwardIssue || l.inwardIssue)?.key === otherKey);
+    for (const link of links) {
+        await jiraRequest('DELETE', `issueLink/${link.id}`);
+    }
+}
+
+// ─── Custom Field Mapping ──────────────────────────────────────────────────
+//
+// Story Points, Team, Sprint and Epic Link are custom fields whose ids differ
+// per site. The options page discovers them and saves, per project, under
+// `field_map` in the Jira profile (settingsForProfile puts it at the top level):
+//   { [PROJECT_KEY]: { storyPoints: { id, name, type }, team: {...}, ... } }
+
+const FIELD_MAP_KEY = 'field_map';
+
+const MAPPABLE_FIELDS = {
+    storyPoints: {
+        label: 'Story Points',
+        guess: f => f.schema?.type === 'number' && /story.?point/i.test(f.name),
+    },
+    team: {
+        label: 'Team',
+        guess: f => f.schema?.custom === 'com.atlassian.jira.plugin.system.customfieldtypes:atlassian-team'
+            || /^team$/i.test(f.name),
+    },
+    sprint: {
+        label: 'Sprint',
+        guess: f => f.schema?.custom === 'com.pyxis.greenhopper.jira:gh-sprint',
+    },
+    epicLink: {
+        label: 'Epic Link',
+        guess: f => f.schema?.custom === 'com.pyxis.greenhopper.jira:gh-epic-link',
+    },
+};
+
+/** How a field's value has to be shaped in a create/edit request. */
+function fieldValueType(schema = {}) {
+    const custom = schema.custom || '';
+    if (custom.endsWith(':gh-sprint')) return 'sprint';
+    if (custom.endsWith(':atlassian-team')) return 'team';
+    if (schema.type === 'number') return 'number';
+    if (schema.type === 'option') return 'option';
+    if (schema.type === 'array' && schema.items === 'option') return 'array-option';
+    if (schema.type === 'array' && schema.items === 'string') return 'array-string';
+    return 'string';
+}
+
+function formatFieldValue(type, value) {
+    switch (type) {
+        case 'number': return parseFloat(value);
+        case 'sprint': return parseInt(value, 10);
+        case 'option': return { value: String(value) };
+        case 'array-option': return [{ value: String(value) }];
+        case 'array-string': return [String(value)];
+        default: return String(value);
+    }
+}
+
+/**
+ * Turns logical values ({ storyPoints, team, sprint, epicLink }) into Jira
+ * fields using the project's saved mapping. Unmapped or empty values are
+ * returned in `unmapped` so callers can fall back (e.g. to labels).
+ */
+function buildMappedFields(projectKey, values) {
+    const mapping = (currentSettings[FIELD_MAP_KEY] || {})[projectKey] || {};
+    const fields = {};
+    const unmapped = {};
+    Object.entries(values).forEach(([name, value]) => {
+        if (value === null || value === undefined || value === '') return;
+        const target = mapping[name];
+        if (target?.id) fields[target.id] = formatFieldValue(target.type, value);
+        else unmapped[name] = value;
+    });
+    return { fields, unmapped };
+}
+
+/**
+ * Lists custom fields for the mapping UI, flagging those on one of the
+ * project's create screens and pre-selecting a best guess per logical field.
+ */
+async function jiraDiscoverFields(projectKey) {
+    const allFields = await jiraRequest('GET', 'field');
+    const custom = allFields.filter(f => f.custom);
+
+    const onScreen = new Set();
+    try {
+        const types = await jiraRequest('GET', `issue/createmeta/${projectKey}/issuetypes`);
+        for (const type of types.issueTypes || types.values || []) {
+            const meta = await jiraRequest('GET', `issue/createmeta/${projectKey}/issuetypes/${type.id}?maxResults=200`);
+            (meta.fields || meta.values || []).forEach(f => onScreen.add(f.fieldId || f.key));
+        }
+    } catch (err) {
+        console.warn('[JiraAI] createmeta unavailable, listing all custom fields:', err.message);
+    }
+
+    const fields = custom
+        .map(f => ({ id: f.id, name: f.name, type: fieldValueType(f.schema), schema: f.schema, onScreen: onScreen.has(f.id) }))
+        .sort((a, b) => (b.onScreen - a.onScreen) || a.name.localeCompare(b.name));
+
+    const suggestions = {};
+    Object.entries(MAPPABLE_FIELDS).forEach(([name, def]) => {
+        const match = fields.find(f => f.onScreen && def.guess(f)) || fields.find(f => def.guess(f));
+        if (match) suggestions[name] = match.id;
+    });
+
+    return { fields, suggestions };
+}
+
+// ─── Project Vocabulary ────────────────────────────────────────────────────
+//
+// What the project already uses — components, unreleased versions, common
+// labels and recent issue titles — so generated issues use the team's own
+// words and valid field values. Cached for a while per site and project;
+// a batch asks once for all its stories.
+
+const PROJECT_VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const PROJECT_VOCABULARY_SAMPLE = 50;
+const MAX_VOCABULARY_LABELS = 15;
+const MAX_VOCABULARY_TITLES = 20;
+
+const _projectVocabularyCache = {};
+
+/** Unreleased, unarchived versions, in the project's order. */
+async function jiraFetchVersions(projectKey, { signal } = {}) {
+    const versions = await jiraPaginate(`project/${projectKey}/version?status=unreleased&orderBy=sequence`, { signal });
+    return versions.filter(v => !v.archived);
+}
+
+/**
+ * { components, versions, labels, recentTitles } of a project, as names.
+ * Each part is fetched on its own; one that fails is left empty.
+ */
+async function jiraProjectVocabulary(projectKey) {
+    const cacheKey = siteProjectKey(projectKey);
+    const cached = _projectVocabularyCache[cacheKey];
+    if (cached && Date.now() - cached.fetchedAt < PROJECT_VOCABULARY_TTL_MS) return cached.vocabulary;
+
+    const [components, versions, recent] = await Promise.allSettled([
+        jiraPaginate(`project/${projectKey}/component`),
+        jiraFetchVersions(projectKey),
+        jiraSearch(`project = "${projectKey}" ORDER BY created DESC`, ['summary', 'labels'], PROJECT_VOCABULARY_SAMPLE),
+    ]);
+    [components, versions, recent].filter(r => r.status === 'rejected')
+        .forEach(r => console.warn(`[JiraAI] Vocabulary of ${projectKey} incomplete:`, r.reason?.message));
+
+    const issues = recent.status === 'fulfilled' ? recent.value : [];
+    const labelCounts = new Map();
+    issues.forEach(issue => (issue.fields?.labels || []).forEach(label => labelCounts.set(label, (labelCounts.get(label) || 0) + 1)));
+
+    const vocabulary = {
+        components: components.status === 'fulfilled' ? components.value.map(c => c.name) : [],
+        versions: versions.status === 'fulfilled' ? versions.value.map(v => v.name) : [],
+        // Most used first
+        labels: [...labelCounts].sort((a, b) => b[1] - a[1]).slice(0, MAX_VOCABULARY_LABELS).map(([label]) => label),
+        recentTitles: [...new Set(issues.map(issue => issue.fields?.summary).filter(Boolean))].slice(0, MAX_VOCABULARY_TITLES),
+    };
+    // A failed lookup is not cached, so the next generation tries again
+    if ([components, versions, recent].every(r => r.status === 'fulfilled')) {
+        _projectVocabularyCache[cacheKey] = { vocabulary, fetchedAt: Date.now() };
+    }
+    return vocabulary;
+}
+
+// ─── Diagnostics ───────────────────────────────────────────────────────────
+//
+// What the options page's "Test connection" checks, and what breaks without
+// it: [permission, label, consequence, severity when missing].
+
+const DIAGNOSTIC_PERMISSIONS = [
+    ['CREATE_ISSUES', 'Create issues', 'nothing can be created', 'fail'],
+    ['EDIT_ISSUES', 'Edit issues', 'priority, labels, estimates and other fields set after creation will be skipped', 'warn'],
+    ['TRANSITION_ISSUES', 'Transition issues', 'the Status option will be ignored', 'warn'],
+    ['ASSIGN_ISSUES', 'Assign issues', 'assignees will not be set', 'warn'],
+    ['LINK_ISSUES', 'Link issues', 'dependency and duplicate links will fail', 'warn'],
+    ['DELETE_ISSUES', 'Delete issues', 'Roll back cannot delete created issues', 'warn'],
+];
+
+// Set after creation (jiraUpdateFieldsBestEffort), so they must be on the edit screen
+const DIAGNOSTIC_EDIT_FIELDS = ['duedate', 'priority', 'labels', 'components', 'fixVersions', 'assignee'];
+
+/**
+ * Checks sign-in and, with a project, its permissions, assignable users,
+ * subtask type and edit screen. Never throws; returns a checklist of
+ * { status: 'ok' | 'warn' | 'fail', label, detail }.
+ */
+async function jiraDiagnostics(projectKey) {
+    const checks = [];
+    const add = (status, label, detail) => checks.push({ status, label, detail });
+
+    try {
+        const me = await jiraRequest('GET', 'myself');
+        add('ok', 'Jira sign-in', `Signed in as ${me.displayName}${me.emailAddress ? ` (${me.emailAddress})` : ''}`);
+    } catch (err) {
+        add('fail', 'Jira sign-in', `${err.message} — check the site URL, email and API token`);
+        return checks;
+    }
+    if (!projectKey) return checks;
+
+    try {
+        const project = await jiraRequest('GET', `project/${projectKey}`);
+        add('ok', `Project ${projectKey}`, project.name);
+    } catch (err) {
+        add('fail', `Project ${projectKey}`, `${err.message} — it does not exist or you cannot browse it`);
+        return checks;
+    }
+
+    try {
+        const keys = DIAGNOSTIC_PERMISSIONS.map(([permission]) => permission).join(',');
+        const data = await jiraRequest('GET', `mypermissions?projectKey=${projectKey}&permissions=${keys}`);
+        DIAGNOSTIC_PERMISSIONS.forEach(([permission, label, consequence, severity]) => {
+            const granted = data.permissions?.[permission]?.havePermission;
+            add(granted ? 'ok' : severity, label, granted ? 'Allowed' : `Missing — ${consequence}`);
+        });
+    } catch (err) {
+        add('warn', 'Permissions', `Could not be checked: ${err.message}`);
+    }
+
+    try {
+        const users = await jiraRequest('GET', `user/assignable/search?project=${projectKey}&maxResults=1`);
+        add(users.length ? 'ok' : 'warn', 'Assignable users', users.length ? 'Available' : 'None found — the assignee lists will be empty');
+    } catch (err) {
+        add('warn', 'Assignable users', `Unavailable (${err.message}) — the assignee lists will be empty`);
+    }
+
+    try {
+        const data = await jiraRequest('GET', `issue/createmeta/${projectKey}/issuetypes`);
+        const subtaskType = (data.issueTypes || data.values || []).find(t => t.subtask);
+        add(subtaskType ? 'ok' : 'fail', 'Subtask issue type', subtaskType
+            ? subtaskType.name
+            : 'None — the project has no subtask type, so breakdowns cannot be created');
+    } catch (err) {
+        add('warn', 'Subtask issue type', `Could not be checked: ${err.message}`);
+    }
+
+    // There is no edit screen without an issue; the newest one stands in for the rest
+    try {
+        const [sample] = await jiraSearch(`project = ${projectKey} ORDER BY created DESC`, ['summary'], 1);
+        if (!sample) {
+            add('warn', 'Edit screen', 'No issue in the project to check against yet');
+        } else {
+            const editable = (await jiraRequest('GET', `issue/${sample.key}/editmeta`)).fields || {};
+            const mapped = Object.values((currentSettings[FIELD_MAP_KEY] || {})[projectKey] || {});
+            const wanted = [...DIAGNOSTIC_EDIT_FIELDS, ...mapped.map(f => f.id)];
+            const missing = wanted.filter(id => !editable[id]).map(jiraFieldLabel);
+            add(missing.length ? 'warn' : 'ok', 'Edit screen', missing.length
+                ? `${missing.join(', ')} not on the edit screen (checked on ${sample.key}) — these fields will be skipped`
+                : `Every field the extension sets is editable (checked on ${sample.key})`);
+        }
+    } catch (err) {
+        add('warn', 'Edit screen', `Could not be checked: ${err.message}`);
+    }
+
+    return checks;
+}
+
+/** Active and future sprints of the project's first Scrum board (Agile API). */
+async function jiraFetchSprints(projectKey, { signal } = {}) {
+    const boards = await jiraRequest('GET', `/rest/agile/1.0/board?projectKeyOrId=${projectKey}&type=scrum&maxResults=1`, null, { signal });
+    const board = (boards.values || [])[0];
+    if (!board) return [];
+    return jiraPaginate(`/rest/agile/1.0/board/${board.id}/sprint?state=active,future`, { pageSize: 50, signal });
+}
+
+async function jiraAddWatcher(issueKey, userQuery) {
+    // Determine if userQuery is an accountId or string
+    // Jira API requires accountId string.
+    let accountId = userQuery;
+
+    // Simple check: if it contains @, assumes email and try to search
+    // (Note: /user/search may require special permissions or GDPR settings)
+    if (userQuery.includes('@')) {
+        try {
+            const users = await jiraRequest('GET', `user/search?query=${encodeURIComponent(userQuery)}`);
+            if (users && users.length > 0) {
+                accountId = users[0].accountId;
+            }
+        } catch { /* ignore search error, try using as-is */ }
+    }
+
+    // Quote string for POST body format needed by some Jira APIs?
+    // /issue/{key}/watchers POST body is just the string "accountId" (with quotes in JSON)
+    return jiraRequest('POST', `issue/${issueKey}/watchers`, accountId);
+}
+
+// Cache of discovered subtask type name per project
+const _subtaskTypeCache = {};
+
+/** Cache key for per-project lookups; the same project key can exist on several sites. */
+function siteProjectKey(projectKey) {
+    return `${currentSettings.jira_url}/${projectKey}`;
+}
+
+/**
+ * Queries the Jira project's issue types to find the correct subtask type name.
+ * Jira Cloud uses 'Subtask', 'Sub-task', or other variants depending on config.
+ * Caches result so the API is only called once per project.
+ */
+async function detectSubtaskTypeName(projectKey) {
+    const cacheKey = siteProjectKey(projectKey);
+    if (_subtaskTypeCache[cacheKey]) return _subtaskTypeCache[cacheKey];
+
+    try {
+        // Use createmeta endpoint which lists all valid issue types per project
+        const data = await jiraRequest(
+            'GET',
+            `issue/createmeta?projectKeys=${projectKey}&expand=projects.issuetypes`
+        );
+        const projects = data.projects || [];
+        const proj = projects.find(p => p.key === projectKey);
+        if (proj) {
+            const types = proj.issuetypes || [];
+            // Find any type marked as a subtask
+            const subtaskType = types.find(t => t.subtask === true);
+            if (subtaskType) {
+                _subtaskTypeCache[cacheKey] = subtaskType.name;
+                console.log('[JiraAI] Detected subtask type:', subtaskType.name);
+                return subtaskType.name;
+            }
+        }
+    } catch (e) {
+        console.warn('[JiraAI] createmeta failed, trying fallback names:', e.message);
+    }
+
+    // Fallback: try common names until one works
+    const candidates = ['Subtask', 'Sub-task', 'subtask', 'sub-task'];
+    for (const name of candidates) {
+        try {
+            const resp = await fetch(
+                `${currentSettings.jira_url}/rest/api/3/issue`,
+                {
+                    method: 'POST',
+                    headers: jiraHeaders(),
+                    body: JSON.stringify({
+                        fields: { project: { key: projectKey }, issuetype: { name }, summary: '__probe__' },
+                    }),
+                }
+            );
+            const body = await resp.json().catch(() => ({}));
+            const errText = JSON.stringify(body).toLowerCase();
+            // If no issuetype error, this name is valid
+            if (!errText.includes('issuetype') && !errText.includes('issue type')) {
+                _subtaskTypeCache[cacheKey] = name;
+                console.log('[JiraAI] Subtask type found via probe:', name);
+                return name;
+            }
+        } catch { /* continue */ }
+    }
+
+    _subtaskTypeCache[cacheKey] = 'Subtask';
+    return 'Subtask';
+}
+
+async function jiraTransition(issueKey, targetStatus) {
+    const data = await jiraRequest('GET', `issue/${issueKey}/transitions`);
+    const match = (data.transitions || []).find(
+        t => t.name.toLowerCase() === targetStatus.toLowerCase()
+    );
+    if (!match) return;
+    await jiraRequest('POST', `issue/${issueKey}/transitions`, { transition: { id: match.id } });
+}
+
+async function jiraDeleteIssue(issueKey) {
+    return jiraRequest('DELETE', `issue/${issueKey}?deleteSubtasks=true`);
+}
+
+/**
+ * Finds an issue created by this extension after `createdAfter` with exactly
+ * `title` as its summary — under `parentKey` if given, else in the project.
+ */
+async function jiraFindCreatedIssue({ projectKey, parentKey, title, createdAfter }) {
+    // Text search ignores punctuation; strip JQL-reserved characters and compare exactly below
+    const terms = title.replace(/[+\-&|!(){}[\]^~*?\\:"']/g, ' ').replace(/\s+/g, ' ').trim();
+    const scope = parentKey ? `parent = ${parentKey}` : `project = ${projectKey}`;
+    const jql = `${scope} AND summary ~ "${terms}" ORDER BY created DESC`;
+    const data = await jiraRequest('GET', `search/jql?jql=${encodeURIComponent(jql)}&fields=summary,created&maxResults=20`);
+    const match = (data.issues || []).find(issue =>
+        issue.fields?.summary === title && Date.parse(issue.fields.created) >= createdAfter - 60000
+    );
+    return match?.key || null;
+}
+
@@ -0,0 +1,493 @@
+/**
+ * jobs.js — Transactional issue creation.
+ *
+ * Every confirm becomes a job in chrome.storage.local with per-item status,
+ * saved after each Jira call. A failed or interrupted job can be resumed
+ * (only unfinished items are retried) or rolled back (created issues deleted).
+ *
+ * Jobs are run by the background service worker (background.js); the popup
+ * creates them and renders their progress.
+ */
+
+'use strict';
+
+const JOBS_STORAGE_KEY = 'jobs';
+const MAX_STORED_JOBS = 20;
+
+// Statuses meaning the service worker owns the job right now
+const JOB_ACTIVE_STATUSES = ['queued', 'running', 'rollingback'];
+
+// Link from a generated test to the subtask it covers
+const TEST_LINK_TYPE = 'Relates';
+
+/**
+ * Snapshots the preview into a job: one item per issue to create, in order,
+ * parents before their children (in epic mode: epic, then each story
+ * followed by its subtasks). `planPath` points back at the plan element
+ * ('' = the root issue, 'stories.1.subtasks.0', …). Each item carries the optional fields to set after creation, already
+ * resolved against the project's custom field mapping (see jira.js).
+ *
+ * With `meta.testCases` set, each subtask with acceptance criteria is
+ * followed by a test — a "Test" issue, or a subtask next to it — that
+ * repeats the criteria and is linked to it. Tests have no `planPath`.
+ */
+function createJob(aiOutput) {
+    const meta = { ...aiOutput._meta };
+    const { projectKey } = meta;
+
+    // Build the shared extra fields — only include non-empty values.
+    // Priority, assignee, labels and estimate are per subtask (see the preview cards).
+    const common = {};
+    if (meta.dueDate) common.duedate = meta.dueDate;
+
+    // Values without a mapped custom field fall back to labels
+    const labels = [];
+    const team = buildMappedFields(projectKey, { team: meta.team });
+    Object.assign(common, team.fields);
+    if (team.unmapped.team) labels.push(`team-${String(meta.team).toLowerCase().replace(/\s+/g, '-')}`);
+
+    // Sprint and epic belong on the parent; subtasks inherit them
+    const parentMapped = buildMappedFields(projectKey, { sprint: meta.sprintId, epicLink: meta.epicKey });
+    const parentFields = { ...parentMapped.fields };
+    if (parentMapped.unmapped.epicLink) parentFields.parent = { key: parentMapped.unmapped.epicLink };
+
+    const items = [];
+    const links = [];
+
+    const testKind = { issues: 'issue', subtasks: 'subtask' }[meta.testCases];
+    const testIssueType = meta.testIssueType || (testKind === 'issue' ? 'Test' : '');
+
+    /**
+     * Adds one story's subtasks under items[parentItem] (null = meta.parentKey),
+     * with their "Blocks" links. `path` locates the list in the plan.
+     */
+    const addSubtasks = (subtasks, parentItem, path) => {
+        const itemIndexById = {};
+        subtasks.forEach((st, j) => {
+            const planPath = `${path}.${j}`;
+            if (st.duplicate_action === 'skip') return;
+            if (st.id) itemIndexById[st.id] = items.length;
+            if (st.duplicate_action === 'link' && st.duplicate_of) {
+                // The existing issue is linked to the parent instead of creating a duplicate
+                items.push({ kind: 'link', parentItem, planPath, title: st.title.trim(), linkKey: st.duplicate_of });
+                return;
+            }
+
+            const extraFields = { ...common };
+            const itemLabels = [...(st.labels || []), ...labels];
+            if (st.priority) extraFields.priority = { name: st.priority };
+            if (st.assignee_id) extraFields.assignee = { accountId: st.assignee_id };
+            if (st.component) extraFields.components = [{ name: st.component }];
+            if (st.fix_version) extraFields.fixVersions = [{ name: st.fix_version }];
+
+            // Story Points -> real field, or label "sp:X" when the project has no mapping
+            const estimate = buildMappedFields(projectKey, { storyPoints: st.story_points });
+            Object.assign(extraFields, estimate.fields);
+            if (estimate.unmapped.storyPoints !== undefined) itemLabels.push(`sp:${estimate.unmapped.storyPoints}`);
+
+            if (itemLabels.length > 0) extraFields.labels = itemLabels;
+
+            items.push({
+                kind: 'subtask',
+                parentItem,
+                planPath,
+                title: st.title.trim(),
+                description: st.description || '',
+                acceptanceCriteria: st.acceptance_criteria || [],
+                extraFields,
+            });
+
+            if (testKind && st.acceptance_criteria?.length) {
+                links.push({ from: items.length, to: items.length - 1, type: TEST_LINK_TYPE, status: 'pending', error: '' });
+                items.push({
+                    kind: testKind,
+                    issueType: testIssueType,
+                    // A subtask cannot have subtasks, so a test subtask sits next to the one it covers
+                    ...(testKind === 'subtask' ? { parentItem } : {}),
+                    title: shortenTitle(`Test: ${st.title.trim()}`),
+                    description: `Verifies the acceptance criteria of "${st.title.trim()}".`,
+                    acceptanceCriteria: st.acceptance_criteria,
+                    extraFields: { ...common },
+                });
+            }
+        });
+
+        // Dependencies never cross stories; links are made once both ends exist
+        subtasks.forEach((st) => {
+            const to = itemIndexById[st.id];
+            if (to === undefined) return;
+            (st.blocked_by || []).forEach((blockerId) => {
+                const from = itemIndexById[blockerId];
+                if (from !== undefined) links.push({ from, to, status: 'pending', error: '' });
+            });
+        });
+    };
+
+    if (meta.mode === 'epic') {
+        // A new epic is created first unless the stories go under an existing one
+        let epicItem = null;
+        if (!meta.parentKey) {
+            epicItem = items.length;
+            items.push({
+                kind: 'issue',
+                issueType: 'Epic',
+                planPath: '',
+                title: aiOutput.title.trim(),
+                description: aiOutput.description || '',
+                acceptanceCriteria: aiOutput.acceptance_criteria || [],
+                extraFields: {},
+            });
+        }
+        (aiOutput.stories || []).forEach((story, i) => {
+            const storyItem = items.length;
+            items.push({
+                kind: 'issue',
+                issueType: meta.issueType || 'Story',
+                parentItem: epicItem,
+                planPath: `stories.${i}`,
+                title: story.title.trim(),
+                description: story.description || '',
+                acceptanceCriteria: story.acceptance_criteria || [],
+                extraFields: { ...parentMapped.fields },
+            });
+            addSubtasks(story.subtasks || [], storyItem, `stories.${i}.subtasks`);
+        });
+    } else {
+        if (meta.mode === 'create') {
+            items.push({
+                kind: 'issue',
+                issueType: meta.issueType || 'Story',
+                planPath: '',
+                title: aiOutput.title.trim(),
+                description: aiOutput.description || '',
+                acceptanceCriteria: aiOutput.acceptance_criteria || [],
+                extraFields: parentFields,
+            });
+        }
+        // Subtasks of a new issue point at item 0; otherwise at the existing story
+        addSubtasks(aiOutput.subtasks || [], meta.mode === 'create' ? 0 : null, 'subtasks');
+    }
+
+    const now = Date.now();
+    return {
+        // Batch confirms create several jobs within the same millisecond
+        id: `job-${now}-${crypto.randomUUID().slice(0, 8)}`,
+        createdAt: now,
+        updatedAt: now,
+        status: 'pending',
+        meta,
+        // Applied to the existing story in breakdown mode
+        parentFields: meta.mode === 'breakdown' ? parentFields : {},
+        items: items.map(item => ({ ...item, status: 'pending', key: '', error: '' })),
+        links,
+    };
+}
+
+/**
+ * Rebuilds a job that is about to be resumed from the (possibly edited)
+ * preview, so fixes made after a failure are what gets retried. Items that
+ * exist in Jira (created, or cut off while creating) keep their status and
+ * key; those no longer in the preview stay at the end so a rollback still
+ * deletes them.
+ */
+function refreshJobFromPlan(job, aiOutput) {
+    const fresh = createJob(aiOutput);
+    // Cards may have been added or moved since, so items are matched by title under the same parent
+    const identity = (item, items) => [item.kind, items[item.parentItem]?.title ?? '', item.title].join('\n');
+    const exists = item => item.status === 'created' || item.status === 'creating';
+
+    const oldByIdentity = {};
+    job.items.forEach((item, i) => {
+        if (exists(item)) (oldByIdentity[identity(item, job.items)] ||= []).push(i);
+    });
+
+    // Old index -> new index, for the items kept
+    const moved = {};
+    const items = fresh.items.map((item, i) => {
+        const old = oldByIdentity[identity(item, fresh.items)]?.shift();
+        if (old === undefined) return item;
+        moved[old] = i;
+        const { status, key, error } = job.items[old];
+        return { ...item, status, key, error };
+    });
+    job.items.forEach((item, i) => {
+        if (!exists(item) || moved[i] !== undefined) return;
+        moved[i] = items.length;
+        // No longer in the plan, so no planPath
+        items.push({ ...item, planPath: undefined, parentItem: item.parentItem == null ? item.parentItem : moved[item.parentItem] });
+    });
+
+    // Links already made between kept items are not made again
+    const links = fresh.links;
+    (job.links || []).forEach((link) => {
+        if (link.status !== 'created' || moved[link.from] === undefined || moved[link.to] === undefined) return;
+        const from = moved[link.from];
+        const to = moved[link.to];
+        const same = links.find(l => l.from === from && l.to === to);
+        if (same) same.status = 'created';
+        else links.push({ ...link, from, to });
+    });
+
+    Object.assign(job, { meta: fresh.meta, parentFields: fresh.parentFields, items, links });
+    return job;
+}
+
+async function loadJobs() {
+    const data = await chrome.storage.local.get(JOBS_STORAGE_KEY);
+    return data[JOBS_STORAGE_KEY] || {};
+}
+
+async function getJob(jobId) {
+    return (await loadJobs())[jobId] || null;
+}
+
+async function saveJob(job) {
+    job.updatedAt = Date.now();
+    const jobs = await loadJobs();
+    jobs[job.id] = job;
+
+    // Keep storage bounded — drop the oldest finished jobs first
+    const finished = Object.values(jobs)
+        .filter(j => j.status === 'done' || j.status === 'rolledback' || j.dismissed)
+        .sort((a, b) => a.updatedAt - b.updatedAt);
+    while (Object.keys(jobs).length > MAX_STORED_JOBS && finished.length) {
+        delete jobs[finished.shift().id];
+    }
+
+    await chrome.storage.local.set({ [JOBS_STORAGE_KEY]: jobs });
+}
+
+/** Jira key of the item's parent; '' for a top-level issue (no `parentItem`). */
+function jobParentKey(job, item) {
+    if (item.parentItem === undefined) return '';
+    return item.parentItem === null ? job.meta.parentKey : job.items[item.parentItem]?.key || '';
+}
+
+/** The issue a job's result is shown under: the story, the new issue or the epic. */
+function jobRootKey(job) {
+    if (job.meta.mode === 'breakdown') return job.meta.parentKey;
+    if (job.meta.mode === 'epic' && job.meta.parentKey) return job.meta.parentKey;
+    return job.items[0]?.key || '';
+}
+
+/**
+ * Creates every item of the job that is not created yet, persisting status
+ * after each call. Items left in 'creating' by an interrupted run are looked
+ * up in Jira first so they are not created twice.
+ */
+async function runJob(job, onProgress = () => { }) {
+    const { meta } = job;
+    const jiraStatus = meta.jiraStatus || '';
+    const watchers = meta.watchers || [];
+
+    // A partly rolled-back job is completed again: what was deleted is recreated
+    job.items.forEach((item, i) => {
+        if (item.status !== 'deleted') return;
+        item.status = 'pending';
+        item.key = '';
+        (job.links || []).forEach((link) => {
+            if (link.from === i || link.to === i) link.status = 'pending';
+        });
+    });
+
+    job.status = 'running';
+    await saveJob(job);
+    onProgress(job);
+
+    if (meta.mode === 'breakdown' && meta.parentKey && !job.parentUpdated) {
+        if (jiraStatus) await jiraTransition(meta.parentKey, jiraStatus).catch(() => { });
+        await jiraUpdateFieldsBestEffort(meta.parentKey, job.parentFields);
+        job.parentUpdated = true;
+    }
+
+    for (let i = 0; i < job.items.length; i++) {
+        const item = job.items[i];
+        if (item.status === 'created') continue;
+
+        const parentKey = jobParentKey(job, item);
+        if (item.parentItem !== undefined && !parentKey) {
+            item.status = 'failed';
+            item.error = 'Parent issue was not created';
+            continue;
+        }
+
+        // Linking again is harmless, so interrupted links are simply retried
+        if (item.status === 'creating' && item.kind !== 'link') {
+            const found = await reconcileJobItem(job, item, parentKey);
+            if (found) {
+                await saveJob(job);
+                onProgress(job);
+                continue;
+            }
+            if (item.status === 'failed') continue;
+        }
+
+        item.status = 'creating';
+        item.error = '';
+        await saveJob(job);
+        onProgress(job);
+
+        if (item.kind === 'link') {
+            try {
+                await jiraLinkIssues(parentKey, item.linkKey, 'Relates');
+                item.key = item.linkKey;
+                item.status = 'created';
+            } catch (err) {
+                item.status = 'failed';
+                item.error = err.message;
+            }
+            await saveJob(job);
+            onProgress(job);
+            continue;
+        }
+
+        try {
+            const result = item.kind === 'issue'
+                ? await jiraCreateIssue({
+                    projectKey: meta.projectKey,
+                    issueType: item.issueType,
+                    title: item.title,
+                    description: item.description,
+                    acceptanceCriteria: item.acceptanceCriteria,
+                    acFormat: meta.acFormat,
+                    parentKey,
+                    extraFields: item.extraFields,
+                })
+                : await jiraCreateSubtask({
+                    parentKey,
+                    projectKey: meta.projectKey,
+                    title: item.title,
+                    description: item.description,
+                    acceptanceCriteria: item.acceptanceCriteria,
+                    acFormat: meta.acFormat,
+                    // Test subtasks carry their own type
+                    breakType: item.issueType || meta.breakType || null,
+                    extraFields: item.extraFields,
+                });
+            item.key = result.key;
+            item.status = 'created';
+        } catch (err) {
+            item.status = 'failed';
+            item.error = err.message;
+        }
+        await saveJob(job);
+        onProgress(job);
+
+        if (item.status !== 'created') continue;
+
+        // Transition status
+        if (jiraStatus) {
+            await jiraTransition(item.key, jiraStatus).catch(() => { });
+        }
+
+        // Add watchers / CC
+        if (item.kind === 'subtask') {
+            for (const w of watchers) {
+                await jiraAddWatcher(item.key, w).catch(() => { });
+            }
+        }
+    }
+
+    await createJobLinks(job);
+
+    job.status = job.items.every(i => i.status === 'created') ? 'done' : 'failed';
+    await saveJob(job);
+    onProgress(job);
+    return job;
+}
+
+/**
+ * Makes the job's links between created items: dependencies ("A blocks B")
+ * and tests to the subtasks they cover (`type`). Best-effort like watchers:
+ * a failed link is recorded, not fatal, and is retried when the job is
+ * resumed.
+ */
+async function createJobLinks(job) {
+    for (const link of job.links || []) {
+        if (link.status === 'created') continue;
+        const from = job.items[link.from];
+        const to = job.items[link.to];
+        if (from?.status !== 'created' || to?.status !== 'created') continue;
+        try {
+            await jiraLinkIssues(from.key, to.key, link.type || 'Blocks');
+            link.status = 'created';
+            link.error = '';
+        } catch (err) {
+            link.status = 'failed';
+            link.error = err.message;
+        }
+        await saveJob(job);
+    }
+}
+
+/**
+ * Resolves an item whose create call was cut off: if Jira has it, the item is
+ * marked created; if the lookup itself fails it is marked failed so the user
+ * can check Jira before resuming. Returns true when the issue was found.
+ */
+async function reconcileJobItem(job, item, parentKey) {
+    try {
+        const key = await jiraFindCreatedIssue({
+            projectKey: job.meta.projectKey,
+            parentKey,
+            title: item.title,
+            createdAfter: job.createdAt,
+        });
+        if (key) {
+            item.key = key;
+            item.status = 'created';
+            return true;
+        }
+        item.status = 'pending';
+    } catch (err) {
+        item.status = 'failed';
+        item.error = `Interrupted — check Jira before resuming (${err.message})`;
+    }
+    return false;
+}
+
+/** Keys of the issues a job created — linked existing issues are left out. */
+function jobCreatedKeys(job) {
+    return job.items.filter(i => i.status === 'created' && i.kind !== 'link').map(i => i.key);
+}
+
+/**
+ * Deletes the job's created issues, subtasks before their parent. Linked
+ * existing issues are only unlinked, never deleted.
+ */
+async function rollbackJob(job, onProgress = () => { }) {
+    job.status = 'rollingback';
+    await saveJob(job);
+    onProgress(job);
+
+    for (const item of job.items) {
+        if (item.status !== 'creating') continue;
+        if (item.kind === 'link') item.status = 'created'; // unlinking tolerates a missing link
+        else await reconcileJobItem(job, item, jobParentKey(job, item));
+    }
+
+    for (const item of [...job.items].reverse()) {
+        if (item.status !== 'created') continue;
+        try {
+            if (item.kind === 'link') await jiraUnlinkIssues(jobParentKey(job, item), item.linkKey);
+            else await jiraDeleteIssue(item.key);
+            item.status = 'deleted';
+            item.error = '';
+        } catch (err) {
+            // Already deleted, e.g. by hand or with its parent
+            if (err.status === 404 && item.kind !== 'link') {
+                item.status = 'deleted';
+                item.error = '';
+            } else {
+                item.error = `Delete failed: ${err.message}`;
+            }
+        }
+        await saveJob(job);
+        onProgress(job);
+    }
+
+    job.status = job.items.some(i => i.status === 'created') ? 'failed' : 'rolledback';
+    await saveJob(job);
+    onProgress(job);
+    return job;
+}
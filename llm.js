@@ -0,0 +1,234 @@
+/**
+ * llm.js — LLM provider layer shared by the popup and the options page.
+ *
+ * Supported providers:
+ *   - Groq, OpenAI and local servers (Ollama, llama.cpp) via the
+ *     OpenAI-compatible /chat/completions API
+ *   - Azure OpenAI (deployment-scoped URL + api-key header)
+ *   - Anthropic Messages API
+ *
+ * Settings live in chrome.storage.sync:
+ *   llm_provider   — default provider id
+ *   llm_providers  — { [id]: { api_key, model, temperature, max_tokens, base_url, api_version } }
+ *   llm_projects   — { [PROJECT_KEY]: providerId } per-project override
+ */
+
+'use strict';
+
+const LLM_PROVIDERS = {
+    groq: {
+        label: 'Groq',
+        api: 'openai',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        model: 'llama-3.3-70b-versatile',
+        needsKey: true,
+        keyPlaceholder: 'gsk_...',
+    },
+    openai: {
+        label: 'OpenAI',
+        api: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        needsKey: true,
+        keyPlaceholder: 'sk-...',
+    },
+    anthropic: {
+        label: 'Anthropic',
+        api: 'anthropic',
+        baseUrl: 'https://api.anthropic.com/v1',
+        model: 'claude-sonnet-4-5',
+        // Required by the Messages API; epic plans easily outgrow 4096
+        maxTokens: 8192,
+        needsKey: true,
+        keyPlaceholder: 'sk-ant-...',
+    },
+    azure: {
+        label: 'Azure OpenAI',
+        api: 'azure',
+        baseUrl: '',
+        model: '',
+        apiVersion: '2024-06-01',
+        needsKey: true,
+        keyPlaceholder: 'Azure resource key',
+    },
+    local: {
+        label: 'Local (Ollama / llama.cpp)',
+        api: 'openai',
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        needsKey: false,
+        keyPlaceholder: 'Optional',
+    },
+};
+
+const DEFAULT_LLM_PROVIDER = 'groq';
+const DEFAULT_LLM_TEMPERATURE = 0.4;
+const LLM_SETTINGS_KEYS = ['llm_provider', 'llm_providers', 'llm_projects', 'groq_key'];
+
+/**
+ * Resolves the effective provider config for a project from stored settings.
+ * Per-project overrides win over the default provider; empty fields fall back
+ * to the provider's defaults. The legacy `groq_key` setting is still honoured.
+ */
+function resolveLlmConfig(settings, projectKey) {
+    const overrides = settings.llm_projects || {};
+    let providerId = (projectKey && overrides[projectKey]) || settings.llm_provider || DEFAULT_LLM_PROVIDER;
+    if (!LLM_PROVIDERS[providerId]) providerId = DEFAULT_LLM_PROVIDER;
+
+    const def = LLM_PROVIDERS[providerId];
+    const saved = (settings.llm_providers || {})[providerId] || {};
+    const apiKey = saved.api_key || (providerId === 'groq' ? settings.groq_key : '') || '';
+    const temperature = parseFloat(saved.temperature);
+    const maxTokens = parseInt(saved.max_tokens, 10);
+
+    return {
+        provider: providerId,
+        label: def.label,
+        api: def.api,
+        needsKey: def.needsKey,
+        apiKey,
+        model: saved.model || def.model,
+        temperature: Number.isFinite(temperature) ? temperature : DEFAULT_LLM_TEMPERATURE,
+        // null leaves the output limit to the server
+        maxTokens: maxTokens > 0 ? maxTokens : def.maxTokens || null,
+        baseUrl: (saved.base_url || def.baseUrl).replace(/\/+$/, ''),
+        apiVersion: saved.api_version || def.apiVersion || '',
+    };
+}
+
+/** Returns a human-readable reason the config cannot be used, or null. */
+function llmConfigError(config) {
+    if (config.needsKey && !config.apiKey) return `${config.label} API key is missing.`;
+    if (!config.baseUrl) return `${config.label} base URL is missing.`;
+    if (!config.model) return `${config.label} model is missing.`;
+    return null;
+}
+
+/** The reply hit the output token limit, so any JSON in it is incomplete. */
+function llmTruncatedError(config) {
+    return new Error(`${config.label} reply was cut off at the output token limit — raise Max Output Tokens in Settings or ask for a smaller plan.`);
+}
+
+/**
+ * Sends a chat completion request and returns the assistant's text.
+ * `messages` uses the OpenAI shape ({ role: 'system' | 'user' | 'assistant', content }).
+ * With `json: true` the provider is asked for a JSON object where supported.
+ * With `onText` the reply is streamed and `onText(textSoFar)` called as it grows.
+ */
+async function llmChat(config, messages, { json = true, signal, onText } = {}) {
+    const configError = llmConfigError(config);
+    if (configError) throw new Error(configError);
+
+    if (config.api === 'anthropic') return anthropicChat(config, messages, { json, signal, onText });
+
+    const headers = { 'Content-Type': 'application/json' };
+    let url;
+    const body = { messages, temperature: config.temperature };
+
+    if (config.api === 'azure') {
+        // Azure routes by deployment name; the model field is not sent
+        url = `${config.baseUrl}/openai/deployments/${encodeURIComponent(config.model)}/chat/completions?api-version=${encodeURIComponent(config.apiVersion)}`;
+        headers['api-key'] = config.apiKey;
+    } else {
+        url = `${config.baseUrl}/chat/completions`;
+        body.model = config.model;
+        if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+    if (json) body.response_format = { type: 'json_object' };
+    if (config.maxTokens) body.max_tokens = config.maxTokens;
+    if (onText) body.stream = true;
+
+    const resp = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+    if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        throw new Error(err.error?.message || `${config.label} API error ${resp.status}`);
+    }
+
+    if (onText) {
+        let text = '';
+        let finishReason = null;
+        await readEventStream(resp, (data) => {
+            if (data === '[DONE]') return;
+            const choice = JSON.parse(data).choices?.[0];
+            finishReason = choice?.finish_reason || finishReason;
+            const delta = choice?.delta?.content;
+            if (!delta) return;
+            text += delta;
+            onText(text);
+        });
+        if (finishReason === 'length') throw llmTruncatedError(config);
+        return text;
+    }
+
+    const data = await resp.json();
+    if (data.choices?.[0]?.finish_reason === 'length') throw llmTruncatedError(config);
+    return data.choices?.[0]?.message?.content || '';
+}
+
+/** Calls `onData` with the data line of each server-sent event of a streamed response. */
+async function readEventStream(resp, onData) {
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+        const lines = buffer.split(/\r?\n/);
+        // The last line may still be incomplete
+        buffer = done ? '' : lines.pop();
+        lines.filter(line => line.startsWith('data:')).forEach(line => onData(line.slice(5).trim()));
+        if (done) return;
+    }
+}
+
+async function anthropicChat(config, messages, { json, signal, onText }) {
+    const systemParts = messages.filter(m => m.role === 'system').map(m => m.content);
+    // No JSON mode in the Messages API, and current models reject an assistant
+    // prefill; stray text around the object is stripped by the caller (ai.js)
+    if (json) systemParts.push('Reply with a single JSON object only, with no text or code fences around it.');
+    const system = systemParts.join('\n\n');
+    const turns = messages.filter(m => m.role !== 'system');
+
+    const resp = await fetch(`${config.baseUrl}/messages`, {
+        method: 'POST',
+        headers: {
+            'x-api-key': config.apiKey,
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true',
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            model: config.model,
+            system,
+            messages: turns,
+            max_tokens: config.maxTokens || LLM_PROVIDERS.anthropic.maxTokens,
+            temperature: config.temperature,
+            stream: Boolean(onText),
+        }),
+        signal,
+    });
+
+    if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        throw new Error(err.error?.message || `${config.label} API error ${resp.status}`);
+    }
+
+    if (onText) {
+        let text = '';
+        let stopReason = null;
+        await readEventStream(resp, (data) => {
+            const event = JSON.parse(data);
+            if (event.type === 'error') throw new Error(event.error?.message || `${config.label} stream error`);
+            if (event.type === 'message_delta') stopReason = event.delta?.stop_reason || stopReason;
+            if (event.type !== 'content_block_delta' || !event.delta?.text) return;
+            text += event.delta.text;
+            onText(text);
+        });
+        if (stopReason === 'max_tokens') throw llmTruncatedError(config);
+        return text;
+    }
+
+    const data = await resp.json();
+    if (data.stop_reason === 'max_tokens') throw llmTruncatedError(config);
+    return (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+}
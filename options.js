@@ -1,50 +1,641 @@
 /**
  * Options page logic — MV3 compatible (no inline onclick handlers)
  * All event listeners attached via addEventListener inside DOMContentLoaded.
+ *
+ * Jira profiles (site, credentials, custom field mapping and default
+ * provider per profile) and LLM settings go to chrome.storage.sync; prompt
+ * templates go to chrome.storage.local and are shared between machines via
+ * export/import. With secret encryption on, tokens and keys go to an
+ * encrypted vault in chrome.storage.local instead (secrets.js).
  */
 
+// Per-provider settings being edited; committed to storage on save
+let providerConfigs = {};
+let editingProvider = DEFAULT_LLM_PROVIDER;
+
+// Jira credentials from the form, read by jira.js during field discovery
+let currentSettings = {};
+
+// Jira profiles being edited (see jira.js); committed to storage on save
+let profiles = {};
+let editingProfileId = '';
+
+// Secret encryption as loaded; while locked the secrets in the form are blank
+let secretsEncrypted = false;
+let secretsLocked = false;
+
 document.addEventListener('DOMContentLoaded', () => {
+    populateProviderSelect(document.getElementById('llm_provider'));
+    populateProviderSelect(document.getElementById('llm_edit_provider'));
+    populateProviderSelect(document.getElementById('profile_llm_provider'));
+    document.getElementById('profile_llm_provider')
+        .insertAdjacentHTML('afterbegin', '<option value="">Same as the default provider</option>');
+
     // Load saved settings
     chrome.storage.sync.get(
-        ['groq_key', 'jira_url', 'jira_email', 'jira_token'],
-        (data) => {
-            if (data.groq_key) document.getElementById('groq_key').value = data.groq_key;
-            if (data.jira_url) document.getElementById('jira_url').value = data.jira_url;
-            if (data.jira_email) document.getElementById('jira_email').value = data.jira_email;
-            if (data.jira_token) document.getElementById('jira_token').value = data.jira_token;
+        [...JIRA_SETTINGS_KEYS, ...LLM_SETTINGS_KEYS],
+        async (data) => {
+            secretsEncrypted = Boolean(await secretsVault());
+            data = await withSecrets(data);
+            secretsLocked = Boolean(data.secretsLocked);
+            document.getElementById('encrypt_secrets').checked = secretsEncrypted;
+            showSecretsState();
+
+            profiles = structuredClone(jiraProfiles(data));
+            if (!Object.keys(profiles).length) profiles.default = newProfile('Default');
+            showProfile(profiles[data[ACTIVE_PROFILE_KEY]] ? data[ACTIVE_PROFILE_KEY] : Object.keys(profiles)[0]);
+
+            providerConfigs = data.llm_providers || {};
+            // Migrate the legacy single Groq key
+            if (data.groq_key && !providerConfigs.groq?.api_key) {
+                providerConfigs.groq = { ...providerConfigs.groq, api_key: data.groq_key };
+            }
+
+            const provider = LLM_PROVIDERS[data.llm_provider] ? data.llm_provider : DEFAULT_LLM_PROVIDER;
+            document.getElementById('llm_provider').value = provider;
+            showProviderConfig(provider);
+
+            Object.entries(data.llm_projects || {}).forEach(([projectKey, providerId]) => {
+                addProjectOverrideRow(projectKey, providerId);
+            });
+
         }
     );
 
     // Save button
     document.getElementById('save-btn').addEventListener('click', saveSettings);
 
+    // Secret encryption
+    document.getElementById('encrypt_secrets').addEventListener('change', showSecretsState);
+    document.getElementById('secrets-unlock-btn').addEventListener('click', async () => {
+        try {
+            await unlockSecrets(document.getElementById('secrets_unlock_passphrase').value);
+            location.reload();
+        } catch (err) {
+            showAlert(err.message, 'error');
+        }
+    });
+
+    // Provider editing
+    document.getElementById('llm_provider').addEventListener('change', (e) => {
+        storeProviderForm();
+        document.getElementById('llm_edit_provider').value = e.target.value;
+        showProviderConfig(e.target.value);
+    });
+    document.getElementById('llm_edit_provider').addEventListener('change', (e) => {
+        storeProviderForm();
+        showProviderConfig(e.target.value);
+    });
+    document.getElementById('add-project-override').addEventListener('click', () => addProjectOverrideRow('', ''));
+
+    // Jira profiles
+    document.getElementById('profile_select').addEventListener('change', (e) => {
+        storeProfileForm();
+        showProfile(e.target.value);
+    });
+    document.getElementById('profile_name').addEventListener('change', () => {
+        storeProfileForm();
+        renderProfileSelect();
+    });
+    document.getElementById('profile-add-btn').addEventListener('click', addProfile);
+    document.getElementById('profile-delete-btn').addEventListener('click', deleteProfile);
+
+    // Field mapping
+    document.getElementById('fm_project').addEventListener('change', (e) => {
+        showFieldMapping(e.target.value.trim().toUpperCase(), null);
+    });
+    document.getElementById('fm-discover-btn').addEventListener('click', discoverFields);
+
+    // Connection test
+    document.getElementById('diag-btn').addEventListener('click', runDiagnostics);
+
+    initTemplateEditor();
+
     // Toggle visibility
-    document.getElementById('toggle-groq').addEventListener('click', () => toggleVis('groq_key', 'toggle-groq'));
+    document.getElementById('toggle-llm-key').addEventListener('click', () => toggleVis('llm_api_key', 'toggle-llm-key'));
     document.getElementById('toggle-token').addEventListener('click', () => toggleVis('jira_token', 'toggle-token'));
 });
 
+function populateProviderSelect(select) {
+    select.innerHTML = Object.entries(LLM_PROVIDERS)
+        .map(([id, p]) => `<option value="${id}">${p.label}</option>`)
+        .join('');
+}
+
+/** Fills the provider form with the saved values for `providerId`, showing defaults as placeholders. */
+function showProviderConfig(providerId) {
+    editingProvider = providerId;
+    const def = LLM_PROVIDERS[providerId];
+    const saved = providerConfigs[providerId] || {};
+
+    document.getElementById('llm_edit_provider').value = providerId;
+    document.getElementById('llm_api_key').value = saved.api_key || '';
+    document.getElementById('llm_api_key').placeholder = def.keyPlaceholder;
+    document.getElementById('llm_key_required').style.display = def.needsKey ? 'inline' : 'none';
+    document.getElementById('llm_model').value = saved.model || '';
+    document.getElementById('llm_model').placeholder = def.model || 'Deployment name';
+    document.getElementById('llm_model_hint').textContent = providerId === 'azure' ? 'Your deployment name' : 'Leave blank for the default';
+    document.getElementById('llm_temperature').value = saved.temperature ?? '';
+    document.getElementById('llm_max_tokens').value = saved.max_tokens ?? '';
+    document.getElementById('llm_max_tokens').placeholder = def.maxTokens || 'Server default';
+    document.getElementById('llm_base_url').value = saved.base_url || '';
+    document.getElementById('llm_base_url').placeholder = def.baseUrl || 'https://your-resource.openai.azure.com';
+    document.getElementById('llm_base_url_hint').textContent = providerId === 'local'
+        ? 'Ollama: http://localhost:11434/v1 — llama.cpp: http://localhost:8080/v1'
+        : def.baseUrl ? 'Leave blank for the default' : 'Required';
+    document.getElementById('llm_api_version').value = saved.api_version || '';
+    document.getElementById('llm_api_version').placeholder = def.apiVersion || '';
+    document.getElementById('llm_api_version_group').style.display = providerId === 'azure' ? 'block' : 'none';
+}
+
+/** Copies the provider form back into providerConfigs for the provider being edited. */
+function storeProviderForm() {
+    const temperature = document.getElementById('llm_temperature').value.trim();
+    const maxTokens = document.getElementById('llm_max_tokens').value.trim();
+    providerConfigs[editingProvider] = {
+        api_key: document.getElementById('llm_api_key').value.trim(),
+        model: document.getElementById('llm_model').value.trim(),
+        temperature: temperature === '' ? '' : parseFloat(temperature),
+        max_tokens: maxTokens === '' ? '' : parseInt(maxTokens, 10),
+        base_url: document.getElementById('llm_base_url').value.trim().replace(/\/+$/, ''),
+        api_version: document.getElementById('llm_api_version').value.trim(),
+    };
+}
+
+function addProjectOverrideRow(projectKey, providerId) {
+    const row = document.createElement('div');
+    row.className = 'override-row';
+    row.innerHTML = `
+        <input type="text" class="override-project" placeholder="Project key" />
+        <select class="override-provider"></select>
+        <button class="btn-remove" title="Remove">✕</button>`;
+    populateProviderSelect(row.querySelector('.override-provider'));
+    row.querySelector('.override-project').value = projectKey;
+    if (providerId) row.querySelector('.override-provider').value = providerId;
+    row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
+    document.getElementById('llm_project_rows').appendChild(row);
+}
+
+function collectProjectOverrides() {
+    const overrides = {};
+    document.querySelectorAll('#llm_project_rows .override-row').forEach((row) => {
+        const key = row.querySelector('.override-project').value.trim().toUpperCase();
+        if (key) overrides[key] = row.querySelector('.override-provider').value;
+    });
+    return overrides;
+}
+
+// ─── Jira Profiles ──────────────────────────────────────────────────────────
+
+function newProfile(name) {
+    return { name, jira_url: '', jira_email: '', jira_token: '', field_map: {}, llm_provider: '' };
+}
+
+function renderProfileSelect() {
+    const select = document.getElementById('profile_select');
+    select.innerHTML = Object.entries(profiles)
+        .map(([id, p]) => `<option value="${escHtml(id)}">${escHtml(p.name || p.jira_url || 'Unnamed')}</option>`)
+        .join('');
+    select.value = editingProfileId;
+}
+
+/** Fills the Jira and field mapping forms from one profile. */
+function showProfile(profileId) {
+    editingProfileId = profileId;
+    const profile = profiles[profileId];
+    renderProfileSelect();
+    document.getElementById('profile_name').value = profile.name || '';
+    document.getElementById('profile_llm_provider').value = profile.llm_provider || '';
+    document.getElementById('jira_url').value = profile.jira_url || '';
+    document.getElementById('jira_email').value = profile.jira_email || '';
+    document.getElementById('jira_token').value = profile.jira_token || '';
+
+    fieldMap = profile.field_map || {};
+    const mappedProject = Object.keys(fieldMap)[0] || '';
+    document.getElementById('fm_project').value = mappedProject;
+    showFieldMapping(mappedProject, null);
+}
+
+/** Copies the forms back into the profile being edited. */
+function storeProfileForm() {
+    profiles[editingProfileId] = {
+        name: document.getElementById('profile_name').value.trim(),
+        jira_url: document.getElementById('jira_url').value.trim().replace(/\/$/, ''),
+        jira_email: document.getElementById('jira_email').value.trim(),
+        jira_token: document.getElementById('jira_token').value.trim(),
+        field_map: fieldMap,
+        llm_provider: document.getElementById('profile_llm_provider').value,
+    };
+}
+
+function addProfile() {
+    storeProfileForm();
+    const id = `profile-${Date.now()}`;
+    profiles[id] = newProfile(`Profile ${Object.keys(profiles).length + 1}`);
+    showProfile(id);
+    document.getElementById('profile_name').focus();
+}
+
+function deleteProfile() {
+    if (Object.keys(profiles).length === 1) {
+        showAlert('At least one Jira profile is needed.', 'error');
+        return;
+    }
+    delete profiles[editingProfileId];
+    showProfile(Object.keys(profiles)[0]);
+}
+
 function saveSettings() {
-    const groq_key = document.getElementById('groq_key').value.trim();
-    const jira_url = document.getElementById('jira_url').value.trim().replace(/\/$/, '');
-    const jira_email = document.getElementById('jira_email').value.trim();
-    const jira_token = document.getElementById('jira_token').value.trim();
+    if (secretsLocked) {
+        showAlert('Unlock your secrets before saving.', 'error');
+        return;
+    }
+    const secretsError = passphraseError();
+    if (secretsError) {
+        showAlert(secretsError, 'error');
+        return;
+    }
+
+    storeProfileForm();
+    storeProviderForm();
+    const llm_provider = document.getElementById('llm_provider').value;
+    const llm_projects = collectProjectOverrides();
+    const llmSettings = { llm_provider, llm_providers: providerConfigs, llm_projects };
+
+    for (const [id, profile] of Object.entries(profiles)) {
+        const problem = !profile.jira_url || !profile.jira_email || !profile.jira_token
+            ? 'Please fill in all required fields.'
+            : !/^https:\/\/[^/]+/.test(profile.jira_url) ? 'Jira URL must start with https://' : '';
+        if (problem) {
+            showProfile(id);
+            showAlert(`${profile.name || 'This profile'}: ${problem}`, 'error');
+            return;
+        }
+    }
+
+    // Every provider in use (default, profile defaults, overrides) must be fully configured
+    const profileProviders = Object.values(profiles).map(p => p.llm_provider).filter(Boolean);
+    const inUse = [...new Set([llm_provider, ...profileProviders, ...Object.values(llm_projects)])];
+    const configs = inUse.map(id => resolveLlmConfig({ ...llmSettings, llm_provider: id }));
+    for (const config of configs) {
+        const llmError = llmConfigError(config);
+        if (llmError) {
+            showAlert(llmError, 'error');
+            return;
+        }
+        if (!/^https?:\/\/[^/]+/.test(config.baseUrl)) {
+            showAlert(`${config.label} base URL must start with http:// or https://`, 'error');
+            return;
+        }
+    }
+
+    // Custom endpoints (Azure, self-hosted servers) and Jira sites outside
+    // atlassian.net need a runtime host permission
+    const baseUrls = [...configs.map(c => c.baseUrl), ...Object.values(profiles).map(p => p.jira_url)];
+    const origins = [...new Set(baseUrls.map(url => `${new URL(url).origin}/*`))];
+    chrome.permissions.request({ origins }, (granted) => {
+        if (!granted) {
+            showAlert('Host permission for a Jira site or AI endpoint was denied.', 'error');
+            return;
+        }
+        const settings = { [JIRA_PROFILES_KEY]: profiles, [ACTIVE_PROFILE_KEY]: editingProfileId, ...llmSettings };
+        storeSecrets(settings).then((syncSettings) => {
+            chrome.storage.sync.set(syncSettings, () => {
+                // Settings from before profiles now live in the profiles
+                chrome.storage.sync.remove(['groq_key', 'jira_url', 'jira_email', 'jira_token', FIELD_MAP_KEY]);
+                showAlert('✅ Settings saved! You can close this tab.', 'success');
+            });
+        }).catch((err) => showAlert(err.message, 'error'));
+    });
+}
+
+// ─── Secret Encryption ──────────────────────────────────────────────────────
+
+function showSecretsState() {
+    const encrypt = document.getElementById('encrypt_secrets').checked;
+    document.getElementById('secrets-unlock-row').style.display = secretsLocked ? 'grid' : 'none';
+    document.getElementById('secrets-passphrase-row').style.display = encrypt ? 'grid' : 'none';
+    document.getElementById('secrets_passphrase_hint').textContent = secretsEncrypted
+        ? 'Leave empty to keep the current passphrase'
+        : 'At least 8 characters; it cannot be recovered';
+}
+
+function passphraseError() {
+    if (!document.getElementById('encrypt_secrets').checked) return '';
+    const passphrase = document.getElementById('secrets_passphrase').value;
+    if (!passphrase && !secretsEncrypted) return 'Choose a passphrase to encrypt your secrets.';
+    if (passphrase && passphrase.length < 8) return 'The passphrase needs at least 8 characters.';
+    if (passphrase !== document.getElementById('secrets_passphrase_confirm').value) return 'The passphrases do not match.';
+    return '';
+}
 
-    if (!groq_key || !jira_url || !jira_email || !jira_token) {
-        showAlert('Please fill in all required fields.', 'error');
+/** Moves secrets into the encrypted vault when enabled; returns what goes to storage.sync. */
+async function storeSecrets(settings) {
+    if (!document.getElementById('encrypt_secrets').checked) {
+        await disableSecretsEncryption();
+        secretsEncrypted = false;
+        return settings;
+    }
+    const { stripped, secrets } = extractSecrets(settings);
+    const passphraseInputs = ['secrets_passphrase', 'secrets_passphrase_confirm'].map(id => document.getElementById(id));
+    await encryptSecrets(secrets, passphraseInputs[0].value);
+    passphraseInputs.forEach(input => { input.value = ''; });
+    secretsEncrypted = true;
+    showSecretsState();
+    return stripped;
+}
+
+// ─── Field Mapping ──────────────────────────────────────────────────────────
+
+// { [PROJECT_KEY]: { [logicalField]: { id, name, type } } } of the profile being edited
+let fieldMap = {};
+
+/**
+ * Renders one select per mappable field. Without discovered `fields` only the
+ * saved mapping is offered, so the page works offline.
+ */
+function showFieldMapping(projectKey, discovered) {
+    const rows = document.getElementById('fm_rows');
+    const mapping = fieldMap[projectKey] || {};
+    rows.innerHTML = '';
+    if (!projectKey) return;
+
+    Object.entries(MAPPABLE_FIELDS).forEach(([name, def]) => {
+        const saved = mapping[name];
+        const fields = discovered ? discovered.fields : (saved ? [saved] : []);
+        const selected = saved?.id || discovered?.suggestions[name] || '';
+
+        const row = document.createElement('div');
+        row.className = 'form-group';
+        row.innerHTML = `<label>${def.label}</label><select data-field="${name}"></select>`;
+        const select = row.querySelector('select');
+        select.innerHTML = '<option value="">Not mapped</option>' + fields.map(f =>
+            `<option value="${f.id}">${escHtml(f.name)} (${f.id})${f.onScreen === false ? ' — not on create screen' : ''}</option>`
+        ).join('');
+        select.value = selected;
+        select.addEventListener('change', () => storeFieldMapping(projectKey, name, select.value, fields));
+        rows.appendChild(row);
+
+        // Suggestions count as a choice until the user changes them
+        if (selected && !saved) storeFieldMapping(projectKey, name, selected, fields);
+    });
+}
+
+function storeFieldMapping(projectKey, name, fieldId, fields) {
+    const mapping = fieldMap[projectKey] || {};
+    const field = fields.find(f => f.id === fieldId);
+    if (field) mapping[name] = { id: field.id, name: field.name, type: field.type };
+    else delete mapping[name];
+
+    if (Object.keys(mapping).length) fieldMap[projectKey] = mapping;
+    else delete fieldMap[projectKey];
+}
+
+/** Points jira.js at the credentials in the form, saved or not. */
+function useJiraForm() {
+    currentSettings = {
+        jira_url: document.getElementById('jira_url').value.trim().replace(/\/$/, ''),
+        jira_email: document.getElementById('jira_email').value.trim(),
+        jira_token: document.getElementById('jira_token').value.trim(),
+        [FIELD_MAP_KEY]: fieldMap,
+    };
+}
+
+async function discoverFields() {
+    const projectKey = document.getElementById('fm_project').value.trim().toUpperCase();
+    useJiraForm();
+    if (!projectKey) {
+        showAlert('Enter a project key first.', 'error', 'fm-alert');
+        return;
+    }
+    if (!currentSettings.jira_url || !currentSettings.jira_email || !currentSettings.jira_token) {
+        showAlert('Fill in the Jira credentials first.', 'error', 'fm-alert');
         return;
     }
 
-    if (!jira_url.startsWith('https://')) {
-        showAlert('Jira URL must start with https://', 'error');
+    const btn = document.getElementById('fm-discover-btn');
+    btn.disabled = true;
+    try {
+        const discovered = await jiraDiscoverFields(projectKey);
+        showFieldMapping(projectKey, discovered);
+        showAlert(`Found ${discovered.fields.length} custom fields — review and Save Settings.`, 'success', 'fm-alert');
+    } catch (err) {
+        showAlert(`Field discovery failed: ${err.message}`, 'error', 'fm-alert');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ─── Connection Test ────────────────────────────────────────────────────────
+
+const DIAG_ICONS = { ok: '✅', warn: '⚠️', fail: '❌', running: '⏳' };
+
+function renderDiagnostics(checks) {
+    const list = document.getElementById('diag-results');
+    list.innerHTML = checks.map(c => `
+        <li class="diag-${c.status}">${DIAG_ICONS[c.status]} ${escHtml(c.label)}
+            <span class="diag-detail">${escHtml(c.detail)}</span></li>`).join('');
+    list.style.display = 'block';
+}
+
+/** A one-word request to each AI provider in use, with the unsaved form values. */
+async function checkLlmProviders() {
+    storeProviderForm();
+    storeProfileForm();
+    const settings = { llm_provider: document.getElementById('llm_provider').value, llm_providers: providerConfigs };
+    const inUse = [...new Set([settings.llm_provider, profiles[editingProfileId].llm_provider, ...Object.values(collectProjectOverrides())]
+        .filter(Boolean))];
+
+    const checks = [];
+    for (const id of inUse) {
+        const config = resolveLlmConfig({ ...settings, llm_provider: id });
+        const label = `AI provider: ${config.label}`;
+        const configError = llmConfigError(config);
+        if (configError) {
+            checks.push({ status: 'fail', label, detail: configError });
+            continue;
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), 20000);
+        try {
+            await llmChat(config, [{ role: 'user', content: 'Reply with the single word OK.' }], { json: false, signal: controller.signal });
+            checks.push({ status: 'ok', label, detail: `${config.model} answered` });
+        } catch (err) {
+            const detail = err.name === 'AbortError' ? 'No answer within 20 seconds' : err.message;
+            checks.push({ status: 'fail', label, detail: `${detail} — generation will fail` });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    return checks;
+}
+
+async function runDiagnostics() {
+    const projectKey = document.getElementById('diag_project').value.trim().toUpperCase();
+    useJiraForm();
+    if (!currentSettings.jira_url || !currentSettings.jira_email || !currentSettings.jira_token) {
+        renderDiagnostics([{ status: 'fail', label: 'Jira credentials', detail: 'Fill in the site URL, email and API token first' }]);
         return;
     }
 
-    chrome.storage.sync.set(
-        { groq_key, jira_url, jira_email, jira_token },
-        () => {
-            showAlert('✅ Settings saved! You can close this tab.', 'success');
+    const btn = document.getElementById('diag-btn');
+    btn.disabled = true;
+    renderDiagnostics([{ status: 'running', label: 'Testing…', detail: projectKey ? `Checking ${projectKey}` : 'Enter a project to also check permissions' }]);
+    try {
+        const [jiraChecks, llmChecks] = await Promise.all([jiraDiagnostics(projectKey), checkLlmProviders()]);
+        renderDiagnostics([...jiraChecks, ...llmChecks]);
+    } catch (err) {
+        renderDiagnostics([{ status: 'fail', label: 'Diagnostics', detail: err.message }]);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function escHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ─── Prompt Templates ───────────────────────────────────────────────────────
+
+// All scopes being edited ('*' = all projects); saved to storage.local
+let promptTemplates = {};
+let editingScope = '*';
+
+const TEMPLATE_EXPORT_TYPE = 'jira-ai-breakdown/prompt-templates';
+
+function initTemplateEditor() {
+    document.getElementById('tpl_vars_hint').textContent =
+        `Variables: ${PROMPT_TEMPLATE_VARIABLES.map(v => `{{${v}}}`).join(' ')}`;
+
+    chrome.storage.local.get(PROMPT_TEMPLATES_KEY, (data) => {
+        promptTemplates = data[PROMPT_TEMPLATES_KEY] || {};
+        showTemplateScope('*');
+    });
+
+    document.getElementById('tpl_scope').addEventListener('change', (e) => {
+        storeTemplateForm();
+        showTemplateScope(e.target.value.trim().toUpperCase() || '*');
+    });
+    document.getElementById('tpl-save-btn').addEventListener('click', saveTemplates);
+    document.getElementById('tpl-reset-btn').addEventListener('click', () => {
+        delete promptTemplates[editingScope];
+        showTemplateScope(editingScope);
+        showAlert('Scope reset — save to apply.', 'success', 'tpl-alert');
+    });
+    document.getElementById('tpl-export-btn').addEventListener('click', exportTemplates);
+    document.getElementById('tpl-import-btn').addEventListener('click', () => {
+        document.getElementById('tpl-import-file').click();
+    });
+    document.getElementById('tpl-import-file').addEventListener('change', importTemplates);
+}
+
+/**
+ * Shows one scope in the form. Empty fields display the template they
+ * currently inherit as a placeholder.
+ */
+function showTemplateScope(scope) {
+    editingScope = scope;
+    const tpl = promptTemplates[scope] || {};
+    const inherited = scope === '*' ? DEFAULT_PROMPT_TEMPLATES : { ...DEFAULT_PROMPT_TEMPLATES, ...promptTemplates['*'] };
+
+    document.getElementById('tpl_scope').value = scope === '*' ? '' : scope;
+    PROMPT_TEMPLATE_FIELDS.forEach((field) => {
+        const el = document.getElementById(`tpl_${field}`);
+        el.value = tpl[field] || '';
+        el.placeholder = inherited[field] || DEFAULT_PROMPT_TEMPLATES[field];
+    });
+    document.getElementById('tpl_conventions').value = (tpl.conventions || []).join('\n');
+
+    const inheritedOptions = scope === '*' ? DEFAULT_PROMPT_OPTIONS : { ...DEFAULT_PROMPT_OPTIONS, ...promptTemplates['*'] };
+    PROMPT_OPTION_FIELDS.forEach((field) => {
+        const el = document.getElementById(`tpl_${field}`);
+        el.value = tpl[field] || '';
+        if (el.tagName === 'SELECT') {
+            const inheritedLabel = el.querySelector(`option[value="${inheritedOptions[field]}"]`)?.textContent || inheritedOptions[field];
+            el.querySelector('option[value=""]').textContent = `Inherit (${inheritedLabel})`;
+        } else {
+            el.placeholder = inheritedOptions[field] || 'Test, or the subtask type';
         }
-    );
+    });
+}
+
+function storeTemplateForm() {
+    const tpl = {};
+    [...PROMPT_TEMPLATE_FIELDS, ...PROMPT_OPTION_FIELDS].forEach((field) => {
+        const value = document.getElementById(`tpl_${field}`).value.trim();
+        if (value) tpl[field] = value;
+    });
+    const conventions = document.getElementById('tpl_conventions').value
+        .split('\n').map(s => s.trim()).filter(Boolean);
+    if (conventions.length) tpl.conventions = conventions;
+
+    if (Object.keys(tpl).length) promptTemplates[editingScope] = tpl;
+    else delete promptTemplates[editingScope];
+}
+
+function saveTemplates() {
+    storeTemplateForm();
+    chrome.storage.local.set({ [PROMPT_TEMPLATES_KEY]: promptTemplates }, () => {
+        showAlert('✅ Templates saved.', 'success', 'tpl-alert');
+    });
+}
+
+function exportTemplates() {
+    storeTemplateForm();
+    const payload = { type: TEMPLATE_EXPORT_TYPE, version: 1, templates: promptTemplates };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'jira-ai-prompt-templates.json';
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+/** Checks an imported file and returns its templates, keeping only known fields. */
+function parseTemplateImport(text) {
+    const data = JSON.parse(text);
+    if (data?.type !== TEMPLATE_EXPORT_TYPE || typeof data.templates !== 'object') {
+        throw new Error('Not a prompt template export.');
+    }
+    const clean = {};
+    Object.entries(data.templates).forEach(([scope, tpl]) => {
+        if (!tpl || typeof tpl !== 'object') return;
+        const entry = {};
+        [...PROMPT_TEMPLATE_FIELDS, ...PROMPT_OPTION_FIELDS].forEach((field) => {
+            if (typeof tpl[field] === 'string' && tpl[field].trim()) entry[field] = tpl[field];
+        });
+        if (Array.isArray(tpl.conventions)) {
+            entry.conventions = tpl.conventions.filter(c => typeof c === 'string' && c.trim());
+        }
+        if (Object.keys(entry).length) clean[scope === '*' ? '*' : scope.toUpperCase()] = entry;
+    });
+    return clean;
+}
+
+function importTemplates(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        let imported;
+        try {
+            imported = parseTemplateImport(text);
+        } catch (err) {
+            showAlert(`Import failed: ${err.message}`, 'error', 'tpl-alert');
+            return;
+        }
+        // Imported scopes replace local ones with the same key
+        promptTemplates = { ...promptTemplates, ...imported };
+        chrome.storage.local.set({ [PROMPT_TEMPLATES_KEY]: promptTemplates }, () => {
+            showTemplateScope(editingScope);
+            showAlert(`✅ Imported ${Object.keys(imported).length} template scope(s).`, 'success', 'tpl-alert');
+        });
+    });
 }
 
 function toggleVis(inputId, btnId) {
@@ -59,8 +650,8 @@ function toggleVis(inputId, btnId) {
     }
 }
 
-function showAlert(msg, type) {
-    const el = document.getElementById('alert');
+function showAlert(msg, type, alertId = 'alert') {
+    const el = document.getElementById(alertId);
     el.textContent = msg;
     el.className = `alert alert-${type}`;
     el.style.display = 'block';
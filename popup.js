@@ -1,50 +1,201 @@
 /**
  * popup.js — Main logic for the Jira AI Breakdown Chrome Extension.
  *
- * Directly calls:
- *   - Groq API (LLaMA 3.3-70B) for AI generation
- *   - Jira REST API for issue/subtask creation
+ * Generation and Jira creation are queued in the background service worker
+ * (background.js) so they survive the popup closing; the popup sends tasks
+ * over a port and renders progress. Per-card AI edits run here directly.
  *
- * No backend server needed. Credentials stored in chrome.storage.sync.
+ * Shared code: llm.js (providers), jira.js (Jira REST API), ai.js (prompts),
+ * jobs.js (transactional creation), history.js (past generations), export.js
+ * (plan export and import).
+ *
+ * The same page also runs embedded in the side panel content.js opens on
+ * Jira issue views (popup.html?embedded=1&issue=KEY). It only runs when the
+ * host page is the site of a configured profile, and reports back to that
+ * page with window.postMessage.
+ *
+ * No backend server needed. Credentials stored in chrome.storage.sync, one
+ * profile per Jira site, or encrypted in storage.local (secrets.js) and
+ * unlocked here once per browser session.
  */
 
 'use strict';
 
 // ─── State ─────────────────────────────────────────────────────────────────
 let currentAiOutput = null;
+// Everything in storage, all Jira profiles included; currentSettings is the selected profile of it
+let storedSettings = {};
 let currentSettings = {};
 let activeTab = 'breakdown';
+let bgPort = null;
+let bdMode = 'single';
+
+const pageParams = new URLSearchParams(location.search);
+const EMBEDDED = pageParams.get('embedded') === '1';
+const EMBEDDED_ISSUE_KEY = (pageParams.get('issue') || '').toUpperCase();
+// Origin of the Jira page hosting the side panel, once it matched a profile (see verifyEmbedding)
+let embeddingOrigin = '';
 
 // ─── Init ───────────────────────────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', async () => {
+    if (EMBEDDED) {
+        document.body.classList.add('embedded');
+        document.getElementById('embedded-close-btn').style.display = 'block';
+    }
     await loadSettings();
+    if (EMBEDDED && !verifyEmbedding()) return;
     await detectJiraContext();
     bindEvents();
+    connectBackground();
+    await restoreGeneration();
+    await restoreBatch();
+    await checkUnfinishedJobs();
 });
 
 async function loadSettings() {
-    return new Promise((resolve) => {
-        chrome.storage.sync.get(
-            ['groq_key', 'jira_url', 'jira_email', 'jira_token'],
-            (data) => {
-                currentSettings = data;
-                const hasAll = data.groq_key && data.jira_url && data.jira_email && data.jira_token;
-                if (!hasAll) {
-                    document.getElementById('no-creds-warning').style.display = 'block';
-                }
-                resolve();
-            }
-        );
+    // Prompt templates can outgrow sync quotas, so they live in storage.local
+    const local = await chrome.storage.local.get(PROMPT_TEMPLATES_KEY);
+    const data = await chrome.storage.sync.get([...JIRA_SETTINGS_KEYS, ...LLM_SETTINGS_KEYS]);
+    storedSettings = await withSecrets({ ...data, ...local });
+    const encrypted = Boolean(await secretsVault());
+    document.getElementById('unlock-banner').style.display = storedSettings.secretsLocked ? 'block' : 'none';
+    document.getElementById('lock-btn').style.display = encrypted && !storedSettings.secretsLocked ? 'block' : 'none';
+    renderProfileSwitcher();
+    selectProfile();
+}
+
+// ─── Jira Profiles ──────────────────────────────────────────────────────────
+//
+// Each profile is a Jira site with its own credentials (see jira.js). The
+// current tab's site picks the profile; the header switcher overrides it and
+// becomes the default for non-Jira tabs.
+
+function renderProfileSwitcher() {
+    const profiles = jiraProfiles(storedSettings);
+    const select = document.getElementById('profile-select');
+    select.innerHTML = Object.entries(profiles)
+        .map(([id, p]) => `<option value="${escHtml(id)}">${escHtml(p.name || p.jira_url)}</option>`)
+        .join('');
+    // The side panel always works on the site hosting it
+    select.style.display = !EMBEDDED && Object.keys(profiles).length > 1 ? 'block' : 'none';
+}
+
+/** Makes `profileId` (default: the saved active one) current; `persist` saves it as the active profile. */
+function selectProfile(profileId, { persist = false } = {}) {
+    const previous = currentSettings.profileId;
+    currentSettings = settingsForProfile(storedSettings, profileId);
+    document.getElementById('profile-select').value = currentSettings.profileId;
+
+    const hasAll = currentSettings.jira_url && currentSettings.jira_email && currentSettings.jira_token
+        && !llmConfigError(resolveLlmConfig(currentSettings));
+    // Locked secrets have their own banner
+    document.getElementById('no-creds-warning').style.display = hasAll || storedSettings.secretsLocked ? 'none' : 'block';
+
+    if (persist) {
+        storedSettings[ACTIVE_PROFILE_KEY] = currentSettings.profileId;
+        chrome.storage.sync.set({ [ACTIVE_PROFILE_KEY]: currentSettings.profileId });
+    }
+    return previous !== undefined && previous !== currentSettings.profileId;
+}
+
+async function onUnlock() {
+    const input = document.getElementById('unlock-passphrase');
+    try {
+        await unlockSecrets(input.value);
+    } catch (err) {
+        showToast(err.message, 'error');
+        input.select();
+        return;
+    }
+    // Project data failed to load without credentials; start over
+    location.reload();
+}
+
+async function onLock() {
+    await lockSecrets();
+    location.reload();
+}
+
+function onProfileSwitch(e) {
+    if (!selectProfile(e.target.value, { persist: true })) return;
+    // Project lists belong to the previous site
+    const projectKey = document.getElementById('bd-project-key').value.trim().toUpperCase();
+    if (projectKey && currentSettings.jira_token) loadAllProjectData(projectKey);
+    showToast(`Using ${jiraProfiles(storedSettings)[currentSettings.profileId]?.name || 'profile'}`, 'info');
+}
+
+/** Connects to the service worker, which runs generation and creation. */
+function connectBackground() {
+    bgPort = chrome.runtime.connect({ name: 'popup' });
+    bgPort.onMessage.addListener((msg) => {
+        switch (msg.type) {
+            case 'status':
+                showToast(msg.text, 'info');
+                break;
+            case 'generation':
+                onGeneration(msg.generation);
+                break;
+            case 'generation-items':
+                if (msg.id === streamingGenerationId) renderStreamingCards(msg.items, msg.mode);
+                break;
+            case 'job-progress':
+                onJobProgress(msg.job);
+                break;
+            case 'job-finished':
+                onJobFinished(msg.job, msg.rollback);
+                break;
+            case 'batch':
+                renderBatch(msg.batch);
+                break;
+        }
+    });
+    // An idle service worker is stopped, which closes the port; the next message reconnects
+    bgPort.onDisconnect.addListener(() => {
+        bgPort = null;
+        syncBackgroundState({ generation: true });
     });
 }
 
+/** Posts to the service worker, reconnecting (and catching up from storage) if the port was closed. */
+function sendToBackground(message) {
+    if (!bgPort) {
+        connectBackground();
+        syncBackgroundState();
+    }
+    bgPort.postMessage(message);
+}
+
+/**
+ * Catches up on the state the service worker stored while the port was
+ * closed. A reconnect skips the generation: a new one may just have been
+ * requested.
+ */
+async function syncBackgroundState({ generation = false } = {}) {
+    if (generation) await restoreGeneration();
+    await restoreBatch();
+    await checkUnfinishedJobs();
+}
+
 async function detectJiraContext() {
     try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!tab || !tab.url) return;
+        let url;
+        let host = '';
+        if (EMBEDDED_ISSUE_KEY) {
+            // Embedded in the host page: the issue is given, not read from the tab
+            url = `/browse/${EMBEDDED_ISSUE_KEY}`;
+            host = new URL(embeddingOrigin).host;
+        } else {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab || !tab.url) return;
+            url = tab.url;
+            host = new URL(url).host;
+        }
+
+        // The tab's Jira site picks the profile
+        const profileId = host && profileForHost(storedSettings, host);
+        if (profileId) selectProfile(profileId);
 
-        const url = tab.url;
         const browseMatch = url.match(/\/browse\/([A-Z][A-Z0-9]+-\d+)/);
         const projectMatch = url.match(/\/jira\/software\/projects\/([A-Z][A-Z0-9]+)/);
 
@@ -52,17 +203,15 @@ async function detectJiraContext() {
             const issueKey = browseMatch[1];
             const projectKey = issueKey.split('-')[0];
             document.getElementById('bd-story-key').value = issueKey;
-            document.getElementById('bd-project-key').value = projectKey;
-            document.getElementById('cr-project-key').value = projectKey;
+            setProjectKeyInputs(projectKey);
             document.getElementById('page-context').textContent = `📍 ${issueKey}`;
             // Auto-load all project metadata in parallel
-            if (currentSettings.jira_url) loadAllProjectData(projectKey);
+            if (currentSettings.jira_token) loadAllProjectData(projectKey);
         } else if (projectMatch) {
             const projectKey = projectMatch[1];
-            document.getElementById('bd-project-key').value = projectKey;
-            document.getElementById('cr-project-key').value = projectKey;
+            setProjectKeyInputs(projectKey);
             document.getElementById('page-context').textContent = `📁 ${projectKey}`;
-            if (currentSettings.jira_url) loadAllProjectData(projectKey);
+            if (currentSettings.jira_token) loadAllProjectData(projectKey);
         } else if (url.includes('atlassian.net')) {
             document.getElementById('page-context').textContent = '🔗 Jira detected';
         } else {
@@ -73,6 +222,16 @@ async function detectJiraContext() {
     }
 }
 
+const PROJECT_KEY_INPUTS = ['bd-project-key', 'cr-project-key', 'ep-project-key'];
+
+/** The tabs share one project; typing it in any tab fills the others. */
+function setProjectKeyInputs(projectKey) {
+    PROJECT_KEY_INPUTS.forEach((id) => { document.getElementById(id).value = projectKey; });
+}
+
+// Element id prefix of each tab's form
+const TAB_PREFIXES = { breakdown: 'bd', create: 'cr', epic: 'ep' };
+
 function bindEvents() {
     // Tab switching
     document.querySelectorAll('.tab').forEach((btn) => {
@@ -80,25 +239,69 @@ function bindEvents() {
             document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
             btn.classList.add('active');
             activeTab = btn.dataset.tab;
-            document.getElementById('tab-breakdown').style.display = activeTab === 'breakdown' ? 'block' : 'none';
-            document.getElementById('tab-create').style.display = activeTab === 'create' ? 'block' : 'none';
+            Object.keys(TAB_PREFIXES).forEach((tab) => {
+                document.getElementById(`tab-${tab}`).style.display = activeTab === tab ? 'block' : 'none';
+            });
             hidePreview();
             hideResult();
         });
     });
 
+    // Single story / batch switch
+    document.querySelectorAll('.mode-btn').forEach((btn) => {
+        btn.addEventListener('click', () => setBreakdownMode(btn.dataset.bdMode));
+    });
+
+    // Batch actions
+    document.getElementById('batch-items').addEventListener('click', onBatchItemAction);
+    document.getElementById('batch-confirm-all-btn').addEventListener('click', onBatchConfirmAll);
+    document.getElementById('batch-clear-btn').addEventListener('click', () => {
+        sendToBackground({ type: 'batch-clear' });
+    });
+
     // Generate buttons
     document.getElementById('bd-generate-btn').addEventListener('click', onBreakdownGenerate);
     document.getElementById('cr-generate-btn').addEventListener('click', onCreateGenerate);
+    document.getElementById('ep-generate-btn').addEventListener('click', onEpicGenerate);
 
     // Confirm button
     document.getElementById('confirm-btn').addEventListener('click', onConfirm);
 
+    // Unfinished job actions
+    document.getElementById('job-resume-btn').addEventListener('click', onJobResume);
+    document.getElementById('job-rollback-btn').addEventListener('click', onJobRollback);
+    document.getElementById('job-dismiss-btn').addEventListener('click', onJobDismiss);
+
+    // Encrypted secrets
+    document.getElementById('lock-btn').addEventListener('click', onLock);
+    document.getElementById('unlock-btn').addEventListener('click', onUnlock);
+    document.getElementById('unlock-passphrase').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') onUnlock();
+    });
+
+    // History panel
+    document.getElementById('history-btn').addEventListener('click', toggleHistory);
+    document.getElementById('history-close-btn').addEventListener('click', toggleHistory);
+    document.getElementById('history-search').addEventListener('input', renderHistory);
+    document.getElementById('history-list').addEventListener('click', onHistoryAction);
+
+    // Preview edits are saved to the history so a reopened run shows them
+    const previewSection = document.getElementById('preview-section');
+    previewSection.addEventListener('input', scheduleHistorySave);
+    previewSection.addEventListener('input', showPreviewErrors);
+    previewSection.addEventListener('click', scheduleHistorySave);
+
+    // Jira profile switcher
+    document.getElementById('profile-select').addEventListener('change', onProfileSwitch);
+
     // Settings button
     document.getElementById('settings-btn').addEventListener('click', () => {
         chrome.runtime.openOptionsPage();
     });
 
+    // Close button of the in-page side panel
+    document.getElementById('embedded-close-btn').addEventListener('click', () => postToHost({ type: 'close' }));
+
     // Open settings link in warning
     const openSettings = document.getElementById('open-settings-link');
     if (openSettings) {
@@ -108,6 +311,22 @@ function bindEvents() {
         });
     }
 
+    // Editable preview — delegated so re-rendered cards need no rebinding
+    ['preview-issue-title', 'preview-description', 'preview-ac-list'].forEach((id) => {
+        document.getElementById(id).addEventListener('input', onPreviewFieldInput);
+    });
+    const subtasksContainer = document.getElementById('subtasks-container');
+    subtasksContainer.addEventListener('input', onSubtaskCardInput);
+    document.getElementById('dependency-view').addEventListener('click', onDependencyViewClick);
+    subtasksContainer.addEventListener('click', onSubtaskCardAction);
+    document.getElementById('add-subtask-btn').addEventListener('click', onAddSubtask);
+    const storiesContainer = document.getElementById('stories-container');
+    storiesContainer.addEventListener('input', onStoryTreeInput);
+    storiesContainer.addEventListener('click', onStoryTreeAction);
+    document.getElementById('add-story-btn').addEventListener('click', onAddStory);
+    document.getElementById('refine-btn').addEventListener('click', onRefine);
+    document.getElementById('cancel-generation-btn').addEventListener('click', onCancelGeneration);
+
     // Copy JSON
     document.getElementById('copy-json-btn').addEventListener('click', () => {
         if (currentAiOutput) {
@@ -116,6 +335,13 @@ function bindEvents() {
         }
     });
 
+    // Export / import
+    document.querySelectorAll('[data-export]').forEach((btn) => {
+        btn.addEventListener('click', onExportClick);
+    });
+    document.getElementById('import-btn').addEventListener('click', () => document.getElementById('import-file').click());
+    document.getElementById('import-file').addEventListener('change', onImportFile);
+
     // Advanced options toggle
     document.getElementById('adv-toggle').addEventListener('click', () => {
         const sec = document.getElementById('adv-section');
@@ -129,23 +355,32 @@ function bindEvents() {
     let pkeyTimer;
     const onProjectKeyChange = (e) => {
         const key = e.target.value.trim().toUpperCase();
-        document.getElementById('bd-project-key').value = key;
-        document.getElementById('cr-project-key').value = key;
+        setProjectKeyInputs(key);
         clearTimeout(pkeyTimer);
-        if (key.length >= 2 && currentSettings.jira_url) {
+        if (key.length >= 2 && currentSettings.jira_token) {
             pkeyTimer = setTimeout(() => loadAllProjectData(key), 600);
         }
     };
-    document.getElementById('bd-project-key').addEventListener('input', onProjectKeyChange);
-    document.getElementById('cr-project-key').addEventListener('input', onProjectKeyChange);
+    PROJECT_KEY_INPUTS.forEach((id) => {
+        document.getElementById(id).addEventListener('input', onProjectKeyChange);
+    });
 }
 
 // ─── Load Project Data (Types, Statuses, Users, Priorities) ─────────────────
 
-const _projectCache = {};
+const _issueTypeCache = {};
+
+// Lists of the last loaded project, used by the per-subtask dropdowns
+let projectOptions = { priorities: [], users: [], components: [], versions: [] };
+
+// Cancels the requests of a load superseded by another project key
+let projectDataController = null;
 
 async function loadAllProjectData(projectKey) {
     if (!projectKey) return;
+    projectDataController?.abort();
+    projectDataController = new AbortController();
+    const { signal } = projectDataController;
 
     // UI Elements
     const breakTypeSelect = document.getElementById('bd-break-type');
@@ -153,20 +388,26 @@ async function loadAllProjectData(projectKey) {
     const prioritySelect = document.getElementById('bd-priority');
     const assigneeSelect = document.getElementById('bd-assignee');
     const crTypeSelect = document.getElementById('cr-issue-type');
+    const sprintSelects = [document.getElementById('bd-sprint'), document.getElementById('cr-sprint')];
 
     // Helper: set loading state
     const setL = (el) => { if (el) { el.disabled = true; el.innerHTML = '<option>Loading...</option>'; } };
-    const selects = [breakTypeSelect, statusSelect, prioritySelect, assigneeSelect, crTypeSelect];
+    const selects = [breakTypeSelect, statusSelect, prioritySelect, assigneeSelect, crTypeSelect, ...sprintSelects];
     selects.forEach(setL);
 
     try {
         // Fetch all independently so failure doesn't block UI
-        const [typesWait, statusWait, usersWait, prioritiesWait] = await Promise.allSettled([
-            fetchProjectIssueTypes(projectKey),
-            fetchProjectStatuses(projectKey),
-            fetchAssignableUsers(projectKey),
-            fetchPriorities()
+        const [typesWait, statusWait, usersWait, prioritiesWait, sprintsWait, componentsWait, versionsWait] = await Promise.allSettled([
+            fetchProjectIssueTypes(projectKey, { signal }),
+            fetchProjectStatuses(projectKey, { signal }),
+            fetchAssignableUsers(projectKey, { signal }),
+            fetchPriorities({ signal }),
+            jiraFetchSprints(projectKey, { signal }),
+            fetchProjectComponents(projectKey, { signal }),
+            jiraFetchVersions(projectKey, { signal }),
         ]);
+        // A newer load owns the dropdowns now
+        if (signal.aborted) return;
 
         // 1. Issue Types (Critical)
         if (typesWait.status === 'fulfilled') {
@@ -187,6 +428,7 @@ async function loadAllProjectData(projectKey) {
             } catch (e) {
                 console.warn('[JiraAI] Fallback detection also failed:', e);
             }
+            if (signal.aborted) return;
 
             if (breakTypeSelect) {
                 breakTypeSelect.innerHTML = `<option value="${escHtml(fallbackName)}" selected>${escHtml(fallbackName)} (Detected)</option>`;
@@ -220,18 +462,39 @@ async function loadAllProjectData(projectKey) {
             if (prioritySelect) prioritySelect.innerHTML = '<option value="">(Default)</option>';
         }
 
+        // 5. Sprints (Scrum boards only)
+        if (sprintsWait.status === 'fulfilled') {
+            const sprints = sprintsWait.value.map(sp => ({ ...sp, label: sp.state === 'active' ? `${sp.name} (active)` : sp.name }));
+            sprintSelects.forEach(el => populateDropdown(el, sprints, 'id', 'label', 'No sprint', ''));
+        } else {
+            console.warn('[JiraAI] Sprints failed:', sprintsWait.reason);
+            sprintSelects.forEach(el => { if (el) el.innerHTML = '<option value="">(No sprints available)</option>'; });
+        }
+
+        // 6. Per-subtask lists — components and versions are only used by the preview cards
+        if (componentsWait.status === 'rejected') console.warn('[JiraAI] Components failed:', componentsWait.reason);
+        if (versionsWait.status === 'rejected') console.warn('[JiraAI] Versions failed:', versionsWait.reason);
+        projectOptions = {
+            priorities: prioritiesWait.status === 'fulfilled' ? prioritiesWait.value : [],
+            users: usersWait.status === 'fulfilled' ? usersWait.value : [],
+            components: componentsWait.status === 'fulfilled' ? componentsWait.value : [],
+            versions: versionsWait.status === 'fulfilled' ? versionsWait.value : [],
+        };
+        if (currentAiOutput && !currentAiOutput.stories) renderSubtaskCards();
+
     } catch (err) {
         console.error('[JiraAI] Critical error in loadAllProjectData:', err);
     } finally {
-        selects.forEach(el => { if (el) el.disabled = false; });
+        if (!signal.aborted) selects.forEach(el => { if (el) el.disabled = false; });
     }
 }
 
 // ─── Fetchers ───
 
-async function fetchProjectIssueTypes(projectKey) {
-    if (_issueTypeCache[projectKey]) return _issueTypeCache[projectKey];
-    const data = await jiraRequest('GET', `issue/createmeta?projectKeys=${projectKey}&expand=projects.issuetypes`);
+async function fetchProjectIssueTypes(projectKey, { signal } = {}) {
+    const cacheKey = siteProjectKey(projectKey);
+    if (_issueTypeCache[cacheKey]) return _issueTypeCache[cacheKey];
+    const data = await jiraRequest('GET', `issue/createmeta?projectKeys=${projectKey}&expand=projects.issuetypes`, null, { signal });
     const proj = (data.projects || []).find(p => p.key === projectKey);
     const all = proj ? (proj.issuetypes || []) : [];
 
@@ -242,18 +505,18 @@ async function fetchProjectIssueTypes(projectKey) {
     const subtaskType = subtaskTypes[0]?.name || 'Subtask';
 
     const result = { parentTypes, subtaskTypes, subtaskType, all };
-    _issueTypeCache[projectKey] = result;
+    _issueTypeCache[cacheKey] = result;
     // Also update the subtask cache for create function
-    _subtaskTypeCache[projectKey] = subtaskType;
+    _subtaskTypeCache[cacheKey] = subtaskType;
 
     return result;
 }
 
-async function fetchProjectStatuses(projectKey) {
+async function fetchProjectStatuses(projectKey, { signal } = {}) {
     // GET /rest/api/3/project/{projectIdOrKey}/statuses
     // Returns nested structure -> issueTypes -> statuses
     // We just want a unique list of all possible statuses for simplicity
-    const data = await jiraRequest('GET', `project/${projectKey}/statuses`);
+    const data = await jiraRequest('GET', `project/${projectKey}/statuses`, null, { signal });
     const statusMap = new Map();
     data.forEach(type => {
         type.statuses.forEach(s => {
@@ -263,13 +526,27 @@ async function fetchProjectStatuses(projectKey) {
     return Array.from(statusMap.values());
 }
 
-async function fetchAssignableUsers(projectKey) {
-    // GET /rest/api/3/user/assignable/search?project={projectKey}
-    return jiraRequest('GET', `user/assignable/search?project=${projectKey}`);
+async function fetchAssignableUsers(projectKey, { signal } = {}) {
+    // GET /rest/api/3/user/assignable/search?project={projectKey}, every page
+    return jiraPaginate(`user/assignable/search?project=${projectKey}`, { signal });
 }
 
-async function fetchPriorities() {
-    return jiraRequest('GET', `priority`);
+async function fetchPriorities({ signal } = {}) {
+    return jiraPaginate('priority/search', { signal });
+}
+
+async function fetchProjectComponents(projectKey, { signal } = {}) {
+    return jiraPaginate(`project/${projectKey}/component`, { signal });
+}
+
+/** Option names the AI may pick per subtask; omitted until the project's lists are loaded. */
+function readFieldOptions() {
+    if (!projectOptions.priorities.length) return undefined;
+    return {
+        priorities: projectOptions.priorities.map(p => p.name),
+        components: projectOptions.components.map(c => c.name),
+        versions: projectOptions.versions.map(v => v.name),
+    };
 }
 
 // ─── Helper ───
@@ -291,14 +568,46 @@ function populateDropdown(select, items, valueKey, labelKey, defaultLabel, defau
     select.innerHTML = html;
 }
 
-// ─── Breakdown Flow ─────────────────────────────────────────────────────────
+// ─── Embedded Panel ─────────────────────────────────────────────────────────
 
-async function onBreakdownGenerate() {
-    if (!validateSettings()) return;
+/**
+ * The side panel can be framed by any atlassian.net page, so it only runs on
+ * the site of a configured profile, with that profile. Elsewhere it shows a
+ * notice and nothing else runs. Returns false when refused.
+ */
+function verifyEmbedding() {
+    // Set by the browser for the direct parent; the framing page cannot change it
+    const origin = location.ancestorOrigins?.[0] || '';
+    let profileId = null;
+    try {
+        profileId = profileForHost(storedSettings, new URL(origin).host);
+    } catch { /* opaque or missing origin */ }
 
-    const storyKey = document.getElementById('bd-story-key').value.trim().toUpperCase();
+    if (profileId) {
+        embeddingOrigin = origin;
+        selectProfile(profileId);
+        return true;
+    }
+    document.body.classList.add('embedding-refused');
+    document.getElementById('embedding-refused').style.display = 'block';
+    // "close" carries nothing, so the unknown page may receive it
+    document.getElementById('embedded-close-btn').addEventListener('click', () => {
+        window.parent.postMessage({ source: 'jira-ai-breakdown', type: 'close' }, /^https?:\/\//.test(origin) ? origin : '*');
+    });
+    return false;
+}
+
+/** Messages the Jira page hosting the side panel (see content.js) — only the verified profile site. */
+function postToHost(message) {
+    if (!embeddingOrigin) return;
+    window.parent.postMessage({ source: 'jira-ai-breakdown', ...message }, embeddingOrigin);
+}
+
+// ─── Breakdown Flow ─────────────────────────────────────────────────────────
+
+/** Reads the Break Story options shared by single and batch mode into a _meta template. */
+function readBreakdownMeta() {
     const projectKey = document.getElementById('bd-project-key').value.trim().toUpperCase();
-    const numSubtasks = parseInt(document.getElementById('bd-num-subtasks').value, 10) || 5;
     const breakType = document.getElementById('bd-break-type').value || null;
 
     // Advanced Optional fields
@@ -311,555 +620,1389 @@ async function onBreakdownGenerate() {
     const team = document.getElementById('bd-team').value || '';
     const watchersRaw = document.getElementById('bd-watchers').value || '';
 
+    const sprintId = document.getElementById('bd-sprint').value || '';
+    const epicKey = document.getElementById('bd-epic-key').value.trim().toUpperCase();
+
+    // Team, Story Points, Sprint and Epic go to the project's mapped custom fields (see jira.js)
     const labels = labelsRaw ? labelsRaw.split(',').map(s => s.trim()).filter(Boolean) : [];
     const watchers = watchersRaw ? watchersRaw.split(',').map(s => s.trim()).filter(Boolean) : [];
-    if (team) labels.push(`team-${team.toLowerCase().replace(/\s+/g, '-')}`);
+
+    return {
+        mode: 'breakdown',
+        projectKey,
+        breakType,
+        jiraStatus,
+        priority,
+        assigneeId,
+        dueDate,
+        labels,
+        storyPoints: storyPts ? parseFloat(storyPts) : null,
+        team,
+        sprintId,
+        epicKey,
+        watchers,
+        fieldOptions: readFieldOptions(),
+        profileId: currentSettings.profileId,
+    };
+}
+
+async function onBreakdownGenerate() {
+    if (bdMode === 'batch') return onBatchGenerate();
+
+    const storyKey = document.getElementById('bd-story-key').value.trim().toUpperCase();
+    const numSubtasks = parseInt(document.getElementById('bd-num-subtasks').value, 10) || 5;
+    const meta = readBreakdownMeta();
+    const { projectKey } = meta;
 
     if (!storyKey) { showToast('Please enter a Story Key (e.g. KAN-2)', 'error'); return; }
     if (!projectKey) { showToast('Please enter a Project Key (e.g. KAN)', 'error'); return; }
+    if (!validateSettings(projectKey, { needsLlm: true })) return;
+
+    requestGeneration({
+        mode: 'breakdown',
+        numSubtasks,
+        meta: {
+            ...meta,
+            parentKey: storyKey,
+            projectKey: projectKey || storyKey.split('-')[0],
+        },
+    });
+}
+
+// ─── Batch Breakdown ────────────────────────────────────────────────────────
+//
+// The service worker owns the batch (see background.js); the popup sends
+// commands and re-renders whenever it broadcasts a new batch state.
+
+function setBreakdownMode(mode) {
+    bdMode = mode;
+    document.querySelectorAll('.mode-btn').forEach(b => b.classList.toggle('active', b.dataset.bdMode === mode));
+    document.getElementById('bd-batch-fields').style.display = mode === 'batch' ? 'block' : 'none';
+    document.getElementById('bd-story-key-group').style.visibility = mode === 'batch' ? 'hidden' : 'visible';
+    document.getElementById('bd-btn-text').textContent = mode === 'batch' ? '⚡ Generate Batch' : '⚡ Generate Breakdown';
+}
+
+/** A plain list of issue keys becomes `key in (...)`; anything else is used as JQL. */
+function batchQueryToJql(input) {
+    const keys = input.split(/[\s,]+/).filter(Boolean);
+    if (keys.length && keys.every(k => /^[A-Z][A-Z0-9]+-\d+$/i.test(k))) {
+        return `key in (${keys.map(k => k.toUpperCase()).join(', ')})`;
+    }
+    return input;
+}
+
+function onBatchGenerate() {
+    const query = document.getElementById('bd-batch-query').value.trim();
+    const numSubtasks = parseInt(document.getElementById('bd-num-subtasks').value, 10) || 5;
+    const meta = readBreakdownMeta();
+
+    if (!query) { showToast('Please enter a JQL query or story keys', 'error'); return; }
+    if (!validateSettings(meta.projectKey, { needsLlm: true })) return;
 
-    setGenerateLoading('bd', true);
     hidePreview();
     hideResult();
-    currentAiOutput = null;
-
-    try {
-        showToast('Fetching story from Jira…', 'info');
-        const story = await jiraGetIssue(storyKey);
-
-        showToast('Calling Groq AI…', 'info');
-        const aiOutput = await groqGenerate({
-            mode: 'breakdown',
-            storyTitle: story.title,
-            storyDescription: story.description,
+    sendToBackground({
+        type: 'batch-start',
+        request: {
+            query: batchQueryToJql(query),
             numSubtasks,
-        });
+            skipWithSubtasks: document.getElementById('bd-batch-skip-existing').checked,
+            meta,
+        },
+    });
+}
 
-        aiOutput._meta = {
-            mode: 'breakdown',
-            parentKey: storyKey,
-            projectKey: projectKey || storyKey.split('-')[0],
-            breakType,
-            jiraStatus,
-            priority,
-            assigneeId,
-            dueDate,
-            labels,
-            storyPoints: storyPts ? parseFloat(storyPts) : null,
-            watchers,
-        };
+let currentBatch = null;
+
+const BATCH_STATUS_LABELS = {
+    pending: '⏸ Waiting',
+    generating: '⏳ Generating…',
+    ready: '📝 Ready',
+    error: '❌ Generation failed',
+    skipped: '⏭ Skipped',
+    queued: '⏳ Creating…',
+    created: '✅ Created',
+    failed: '❌ Creation failed',
+};
+
+function renderBatch(batch) {
+    currentBatch = batch;
+    const section = document.getElementById('batch-section');
+    if (!batch) {
+        section.style.display = 'none';
+        return;
+    }
 
-        currentAiOutput = aiOutput;
-        renderPreview(aiOutput, 'breakdown');
+    const count = status => batch.items.filter(i => i.status === status).length;
+    const summary = document.getElementById('batch-summary');
+    if (batch.status === 'searching') {
+        summary.textContent = '🔍 Searching Jira…';
+    } else if (batch.status === 'error' || batch.error) {
+        summary.textContent = `⚠️ ${batch.error}`;
+    } else {
+        summary.textContent = `${batch.items.length} stories · ${count('ready')} ready · ${count('created')} created · ${count('skipped')} skipped`
+            + (batch.status === 'generating' ? ' · generating…' : '');
+    }
 
-    } catch (err) {
-        showToast(`Error: ${err.message}`, 'error');
-    } finally {
-        setGenerateLoading('bd', false);
+    document.getElementById('batch-items').innerHTML = batch.items.map((item) => {
+        const subtasks = item.aiOutput?.subtasks || [];
+        const canConfirm = item.status === 'ready' || item.status === 'failed';
+        const keys = item.createdKeys || [];
+        return `
+      <div class="batch-item batch-item-${item.status}" data-key="${escHtml(item.key)}">
+        <div class="batch-item-header">
+          ${issueLinkHtml(item.key)}
+          <span class="batch-item-title" title="${escHtml(item.title)}">${escHtml(item.title)}</span>
+          <span class="batch-status">${BATCH_STATUS_LABELS[item.status] || item.status}</span>
+        </div>
+        ${subtasks.length ? `
+        <details>
+          <summary>${subtasks.length} subtasks${keys.length ? ` → ${keys.map(escHtml).join(', ')}` : ''}</summary>
+          <ul>${subtasks.map(st => `<li>${escHtml(st.title)}</li>`).join('')}</ul>
+        </details>` : ''}
+        ${item.error ? `<div class="batch-item-error-text">${escHtml(item.error)}</div>` : ''}
+        <div class="batch-item-actions">
+          ${canConfirm ? '<button class="card-action" data-batch-action="review">✏️ Review</button>' : ''}
+          ${canConfirm ? `<button class="card-action" data-batch-action="confirm">${item.status === 'failed' ? '↻ Resume' : '✓ Confirm'}</button>` : ''}
+          ${item.status === 'ready' || item.status === 'error' ? '<button class="card-action" data-batch-action="skip">Skip</button>' : ''}
+          ${item.status === 'error' ? '<button class="card-action" data-batch-action="retry">↻ Retry</button>' : ''}
+        </div>
+      </div>`;
+    }).join('');
+
+    document.getElementById('batch-confirm-all-btn').disabled = !count('ready');
+    section.style.display = 'block';
+}
+
+function onBatchItemAction(e) {
+    const btn = e.target.closest('[data-batch-action]');
+    if (!btn || !currentBatch) return;
+    const key = btn.closest('.batch-item').dataset.key;
+    const item = currentBatch.items.find(i => i.key === key);
+    if (!item) return;
+
+    switch (btn.dataset.batchAction) {
+        case 'review':
+            // Edits go back with the confirm (see onConfirm)
+            currentAiOutput = structuredClone(item.aiOutput);
+            renderPreview(currentAiOutput, 'breakdown');
+            break;
+        case 'confirm':
+            if (!validateSettings(item.projectKey)) return;
+            sendToBackground({ type: 'batch-confirm', keys: [key] });
+            break;
+        case 'skip':
+            sendToBackground({ type: 'batch-skip', key });
+            break;
+        case 'retry':
+            sendToBackground({ type: 'batch-retry', key });
+            break;
     }
 }
 
+function onBatchConfirmAll() {
+    if (!currentBatch || !validateSettings(currentBatch.meta?.projectKey)) return;
+    const keys = currentBatch.items.filter(i => i.status === 'ready').map(i => i.key);
+    if (keys.length) sendToBackground({ type: 'batch-confirm', keys });
+}
+
+async function restoreBatch() {
+    const { batch } = await chrome.storage.local.get('batch');
+    renderBatch(batch || null);
+}
+
 // ─── Create Flow ────────────────────────────────────────────────────────────
 
-async function onCreateGenerate() {
-    if (!validateSettings()) return;
+/** Reads the Create Issue options into a _meta template. */
+function readCreateMeta() {
+    return {
+        mode: 'create',
+        projectKey: document.getElementById('cr-project-key').value.trim().toUpperCase(),
+        issueType: document.getElementById('cr-issue-type').value,
+        jiraStatus: document.getElementById('cr-status').value.trim(),
+        sprintId: document.getElementById('cr-sprint').value || '',
+        epicKey: document.getElementById('cr-epic-key').value.trim().toUpperCase(),
+        fieldOptions: readFieldOptions(),
+        profileId: currentSettings.profileId,
+    };
+}
 
+async function onCreateGenerate() {
     const description = document.getElementById('cr-description').value.trim();
-    const projectKey = document.getElementById('cr-project-key').value.trim().toUpperCase();
     const numSubtasks = parseInt(document.getElementById('cr-num-subtasks').value, 10) || 5;
-    const issueType = document.getElementById('cr-issue-type').value;
-    const jiraStatus = document.getElementById('cr-status').value.trim();
+    const meta = readCreateMeta();
 
     if (!description) { showToast('Please enter a description', 'error'); return; }
+    if (!meta.projectKey) { showToast('Please enter a Project Key (e.g. KAN)', 'error'); return; }
+    if (!validateSettings(meta.projectKey, { needsLlm: true })) return;
+
+    requestGeneration({
+        mode: 'create',
+        description,
+        numSubtasks,
+        meta,
+    });
+}
+
+// ─── Epic Flow ──────────────────────────────────────────────────────────────
+
+/** Reads the Epic options into a _meta template; an issue key in the input is the existing epic. */
+function readEpicMeta() {
+    const input = document.getElementById('ep-input').value.trim();
+    const epicKey = /^[A-Z][A-Z0-9]+-\d+$/i.test(input) ? input.toUpperCase() : '';
+    return {
+        mode: 'epic',
+        projectKey: document.getElementById('ep-project-key').value.trim().toUpperCase() || epicKey.split('-')[0],
+        parentKey: epicKey,
+        issueType: 'Story',
+        fieldOptions: readFieldOptions(),
+        profileId: currentSettings.profileId,
+    };
+}
+
+/**
+ * Plans stories with subtasks, either for an existing epic (a key) or for a
+ * free-text initiative that becomes a new epic on confirm.
+ */
+async function onEpicGenerate() {
+    const input = document.getElementById('ep-input').value.trim();
+    const meta = readEpicMeta();
+    const { projectKey } = meta;
+    const numStories = parseInt(document.getElementById('ep-num-stories').value, 10) || 4;
+    const numSubtasks = parseInt(document.getElementById('ep-num-subtasks').value, 10) || 3;
+
+    if (!input) { showToast('Please enter an epic key or describe the initiative', 'error'); return; }
     if (!projectKey) { showToast('Please enter a Project Key (e.g. KAN)', 'error'); return; }
+    if (!validateSettings(projectKey, { needsLlm: true })) return;
+
+    requestGeneration({
+        mode: 'epic',
+        description: meta.parentKey ? '' : input,
+        numStories,
+        numSubtasks,
+        meta,
+    });
+}
+
+// ─── Background Generation ──────────────────────────────────────────────────
+//
+// Generation runs in the service worker so it finishes even if the popup
+// closes; the result is stored and shown the next time the popup opens.
 
-    setGenerateLoading('cr', true);
+function requestGeneration(request) {
+    request.id = `gen-${Date.now()}`;
+    setGenerateLoading(TAB_PREFIXES[request.mode], true);
     hidePreview();
     hideResult();
     currentAiOutput = null;
+    showStreamingPreview(request.id, request.mode);
+    sendToBackground({ type: 'generate', request });
+}
 
-    try {
-        showToast('Calling Groq AI…', 'info');
-        const aiOutput = await groqGenerate({
-            mode: 'create',
-            description,
-            issueType,
-            numSubtasks,
-        });
-
-        aiOutput._meta = {
-            mode: 'create',
-            projectKey,
-            issueType,
-            jiraStatus,
-        };
+/** Shows a finished generation once; a running one keeps its button spinning and streams its cards. */
+async function onGeneration(generation) {
+    const prefix = TAB_PREFIXES[generation.request.mode];
+    if (generation.status === 'running') {
+        setGenerateLoading(prefix, true);
+        if (streamingGenerationId !== generation.id) showStreamingPreview(generation.id, generation.request.mode);
+        return;
+    }
+    setGenerateLoading(prefix, false);
+    if (streamingGenerationId === generation.id) {
+        endStreamingPreview();
+        hidePreview();
+    }
+    if (generation.seen) return;
 
-        currentAiOutput = aiOutput;
-        renderPreview(aiOutput, 'create');
+    generation.seen = true;
+    await chrome.storage.local.set({ generation });
 
-    } catch (err) {
-        showToast(`Error: ${err.message}`, 'error');
-    } finally {
-        setGenerateLoading('cr', false);
+    if (generation.status === 'cancelled') {
+        showToast('Generation cancelled', 'info');
+        return;
+    }
+    if (generation.status === 'error') {
+        showToast(`Error: ${generation.error}`, 'error');
+        return;
     }
+    currentAiOutput = generation.aiOutput;
+    renderPreview(currentAiOutput, generation.request.mode);
 }
 
-// ─── Confirm & Create in Jira ────────────────────────────────────────────────
+async function restoreGeneration() {
+    const { generation } = await chrome.storage.local.get('generation');
+    if (generation) await onGeneration(generation);
+}
 
-async function onConfirm() {
-    if (!currentAiOutput) return;
-    if (!validateSettings()) return;
+// ─── Streaming Preview ──────────────────────────────────────────────────────
+//
+// While a generation runs, the subtasks (stories in epic mode) parsed from
+// the streamed reply so far are shown as read-only cards; the editable
+// preview replaces them once the output is validated.
+
+let streamingGenerationId = null;
+
+function showStreamingPreview(generationId, mode) {
+    streamingGenerationId = generationId;
+    const isEpic = mode === 'epic';
+    document.getElementById('subtasks-section').style.display = isEpic ? 'none' : 'block';
+    document.getElementById('stories-section').style.display = isEpic ? 'block' : 'none';
+    renderStreamingCards([], mode);
+    const section = document.getElementById('preview-section');
+    section.classList.add('streaming');
+    section.style.display = 'block';
+}
 
-    setConfirmLoading(true);
+function renderStreamingCards(items, mode) {
+    const isEpic = mode === 'epic';
+    document.getElementById(isEpic ? 'story-count' : 'subtask-count').textContent = items.length;
+    document.getElementById('stream-status-text').textContent = items.length
+        ? `⏳ Writing… ${items.length} ${isEpic ? 'stories' : 'subtasks'} so far`
+        : '⏳ Waiting for the AI…';
+    document.getElementById(isEpic ? 'stories-container' : 'subtasks-container').innerHTML = items.map((item, i) => {
+        const detail = isEpic
+            ? `${Array.isArray(item.subtasks) ? item.subtasks.length : 0} subtasks`
+            : clipText(plainText(item.description) || '', 200);
+        return `
+    <div class="subtask-card streaming-card">
+      <div class="subtask-num">${isEpic ? 'Story' : 'Subtask'} ${i + 1}</div>
+      <div class="streaming-title">${escHtml(plainText(item.title) || '(untitled)')}</div>
+      <div class="subtask-desc-text">${escHtml(detail)}</div>
+    </div>`;
+    }).join('');
+}
 
-    const meta = currentAiOutput._meta || {};
-    const jiraStatus = meta.jiraStatus || '';
-    const projectKey = meta.projectKey || '';
-    const priority = meta.priority || '';
-    const assigneeId = meta.assigneeId || '';
-    const dueDate = meta.dueDate || '';
-    const labels = meta.labels || [];
-    const storyPoints = meta.storyPoints || null;
-    const watchers = meta.watchers || [];
-    const createdKeys = [];
+function endStreamingPreview() {
+    streamingGenerationId = null;
+    document.getElementById('preview-section').classList.remove('streaming');
+}
 
-    // Build the extra fields object — only include non-empty values
-    const extraFields = {};
-    if (priority) extraFields.priority = { name: priority };
-    if (assigneeId) extraFields.assignee = { accountId: assigneeId };
-    if (dueDate) extraFields.duedate = dueDate;
+function onCancelGeneration() {
+    if (streamingGenerationId) sendToBackground({ type: 'cancel-generation', id: streamingGenerationId });
+}
 
-    // Handle labels & Story Points (as a label) safely
-    const finalLabels = Array.isArray(labels) ? [...labels] : [];
+// ─── Confirm & Create in Jira ────────────────────────────────────────────────
 
-    // Story Points -> label "sp:X"
-    if (storyPoints !== null) finalLabels.push(`sp:${storyPoints}`);
+async function onConfirm() {
+    if (!currentAiOutput || previewBusy) return;
+    // Create on the Jira site the preview was generated for
+    const profileId = currentAiOutput._meta?.profileId;
+    if (profileId && profileId !== currentSettings.profileId) selectProfile(profileId);
+    if (!validateSettings(currentAiOutput._meta?.projectKey)) return;
+
+    // Create exactly what the (possibly edited) preview shows
+    const previewError = validatePreview(currentAiOutput);
+    if (previewError) { showToast(previewError, 'error'); return; }
+
+    const meta = currentAiOutput._meta || (currentAiOutput._meta = {});
+    // What gets created is what the history keeps
+    await updateHistoryEntry(meta.historyId, { aiOutput: currentAiOutput });
+
+    // Likely duplicates found just now are shown once before anything is created
+    if (meta.mode !== 'epic' && await flagNewDuplicates()) return;
+    if (meta.mode === 'breakdown' && currentAiOutput.subtasks.every(st => st.duplicate_action === 'skip')) {
+        showToast('Every subtask is skipped — nothing to create', 'error');
+        return;
+    }
 
-    if (finalLabels.length > 0) extraFields.labels = finalLabels;
+    // Batch stories are created by the service worker alongside the rest of the batch
+    if (meta.batchId) {
+        sendToBackground({ type: 'batch-confirm', keys: [meta.parentKey], aiOutput: currentAiOutput });
+        currentAiOutput = null;
+        hidePreview();
+        return;
+    }
 
-    try {
-        let parentKey = meta.parentKey || '';
-
-        if (meta.mode === 'create') {
-            showToast('Creating parent issue…', 'info');
-            const parentResult = await jiraCreateIssue({
-                projectKey,
-                issueType: meta.issueType || 'Story',
-                title: currentAiOutput.title,
-                description: currentAiOutput.description || '',
-                acceptanceCriteria: currentAiOutput.acceptance_criteria || [],
-            });
-            parentKey = parentResult.key;
-            createdKeys.push(parentKey);
-            if (jiraStatus && parentKey) {
-                await jiraTransition(parentKey, jiraStatus).catch(() => { });
-            }
-        } else {
-            if (jiraStatus && parentKey) {
-                await jiraTransition(parentKey, jiraStatus).catch(() => { });
-            }
-        }
+    // A preview that already has a job resumes it instead of creating duplicates,
+    // with the preview's current edits for whatever is not created yet
+    const existing = meta.jobId ? await getJob(meta.jobId) : null;
+    let job;
+    if (existing && existing.status !== 'rolledback') {
+        job = JOB_ACTIVE_STATUSES.includes(existing.status) ? existing : refreshJobFromPlan(existing, currentAiOutput);
+    } else {
+        job = createJob(currentAiOutput);
+    }
+    meta.jobId = job.id;
 
-        // Create subtasks with all optional fields applied
-        const subtasks = currentAiOutput.subtasks || [];
-        for (let i = 0; i < subtasks.length; i++) {
-            const st = subtasks[i];
-            showToast(`Creating ${i + 1}/${subtasks.length}: ${st.title.slice(0, 30)}…`, 'info');
-
-            const result = await jiraCreateSubtask({
-                parentKey,
-                projectKey,
-                title: st.title,
-                description: st.description || '',
-                acceptanceCriteria: st.acceptance_criteria || [],
-                breakType: meta.breakType || null,
-                extraFields,
-            });
-            const stKey = result.key;
-            createdKeys.push(stKey);
+    await queueJob(job);
+}
 
-            // Transition status
-            if (jiraStatus && stKey) {
-                await jiraTransition(stKey, jiraStatus).catch(() => { });
-            }
+// ─── Duplicate Detection ────────────────────────────────────────────────────
+//
+// Subtasks are checked against Jira (jiraFindDuplicates) when the preview is
+// shown and again on confirm, only for titles not checked yet, so renders
+// without title edits cost no requests. Epic plans are not checked: their
+// stories are new, so there is no parent to compare against. Flags live on
+// the subtask: `duplicates` (matches), `duplicates_for` (title checked) and
+// `duplicate_action` ('create' | 'skip' | 'link') with `duplicate_of`.
+
+let duplicateCheck = null;
+
+/** Searches Jira for subtasks whose title changed since the last check; resolves with the subtasks checked. */
+function checkDuplicates(aiOutput) {
+    const run = async () => {
+        const meta = aiOutput._meta || {};
+        const pending = (aiOutput.subtasks || []).filter(st => st.title.trim() && st.duplicates_for !== st.title);
+        if (!pending.length) return [];
+
+        const titles = pending.map(st => st.title);
+        const results = await jiraFindDuplicates(
+            { projectKey: meta.projectKey, parentKey: meta.mode === 'create' ? '' : meta.parentKey },
+            titles
+        );
+        pending.forEach((st, i) => {
+            st.duplicates_for = titles[i];
+            st.duplicates = results[i];
+            if (results[i].length) delete st.duplicate_action;
+            else st.duplicate_action = 'create';
+        });
+        return pending;
+    };
+    // One check at a time; a later call waits for the running one
+    duplicateCheck = (duplicateCheck || Promise.resolve()).catch(() => { }).then(run);
+    return duplicateCheck;
+}
 
-            // Add watchers / CC
-            for (const w of watchers) {
-                await jiraAddWatcher(stKey, w).catch(() => { });
-            }
-        }
+/** Background check when the preview is shown; failures only cost the warning. */
+async function refreshDuplicateFlags() {
+    const output = currentAiOutput;
+    try {
+        const checked = await checkDuplicates(output);
+        if (output === currentAiOutput) updateDuplicateRows(checked);
+    } catch (err) {
+        console.warn('[JiraAI] Duplicate check failed:', err.message);
+    }
+}
 
-        showResult(parentKey, createdKeys, meta);
+/** Redraws only the duplicate rows of the given subtasks, so typing elsewhere keeps its focus. */
+function updateDuplicateRows(subtasks) {
+    subtasks.forEach((st) => {
+        const i = currentAiOutput.subtasks.indexOf(st);
+        const card = document.querySelector(`#subtasks-container .subtask-card[data-index="${i}"]`);
+        if (i < 0 || !card) return;
+        card.querySelector('.duplicate-row')?.remove();
+        card.querySelector('.split-row').insertAdjacentHTML('afterend', renderDuplicateRow(st));
+        card.classList.toggle('skipped', st.duplicate_action === 'skip');
+    });
+}
 
+/**
+ * Called on confirm. Resolves true (and stops the confirm) when flagged
+ * subtasks have not been shown to the user yet; they then default to
+ * "create anyway" so the next confirm goes ahead.
+ */
+async function flagNewDuplicates() {
+    try {
+        await checkDuplicates(currentAiOutput);
     } catch (err) {
-        showToast(`Failed: ${err.message}`, 'error');
-    } finally {
-        setConfirmLoading(false);
+        console.warn('[JiraAI] Duplicate check failed:', err.message);
     }
+    const unreviewed = currentAiOutput.subtasks.filter(st => st.duplicates?.length && !st.duplicate_action);
+    if (!unreviewed.length) return false;
+
+    unreviewed.forEach((st) => { st.duplicate_action = 'create'; });
+    renderSubtaskCards();
+    showToast(`${unreviewed.length} possible duplicate(s) found — choose skip, link or create, then confirm again`, 'error');
+    return true;
 }
 
-// ─── Groq API ───────────────────────────────────────────────────────────────
+function renderDuplicateRow(st) {
+    if (!st.duplicates?.length) return '';
+    const action = st.duplicate_action === 'link' ? `link:${st.duplicate_of}` : st.duplicate_action || 'create';
+    const matches = st.duplicates.map(m =>
+        `${issueLinkHtml(m.key)} ${escHtml(m.title)}${m.status ? ` [${escHtml(m.status)}]` : ''} (${Math.round(m.score * 100)}%)`
+    ).join('<br>');
+    const options = [
+        ['create', 'Create anyway'],
+        ['skip', 'Skip this subtask'],
+        ...st.duplicates.map(m => [`link:${m.key}`, `Link ${m.key} instead`]),
+    ].map(([value, label]) => `<option value="${escHtml(value)}" ${value === action ? 'selected' : ''}>${escHtml(label)}</option>`).join('');
+    return `
+      <div class="duplicate-row">
+        <div>⚠️ Possible duplicate of:<br>${matches}</div>
+        <select data-field="duplicate_action">${options}</select>
+      </div>`;
+}
 
-async function groqGenerate({ mode, storyTitle, storyDescription, description, issueType, numSubtasks }) {
-    const { groq_key } = currentSettings;
+function validatePreview(aiOutput) {
+    const meta = aiOutput._meta || {};
+    const [fieldError] = previewFieldErrors(aiOutput);
+    if (fieldError) return `${planErrorLabel(fieldError.path)}: ${fieldError.message}`;
+    if (meta.mode === 'epic' && !(aiOutput.stories || []).length) return 'Add at least one story';
+    if (meta.mode === 'breakdown' && !(aiOutput.subtasks || []).length) return 'Add at least one subtask';
+    return null;
+}
 
-    const systemPrompt = `You are a senior software engineer and agile project manager.
-Your task is to break down software requirements into well-structured, actionable Jira tickets.
-OUTPUT RULES:
-- Respond with STRICTLY valid JSON only. No markdown, no code fences, no extra text.
-- Use the exact schema provided.`;
+// ─── Preview Validation ─────────────────────────────────────────────────────
+//
+// Titles are checked as they are edited and problems shown under the field.
+// Problems the AI output still had after asking again (ai.js
+// validateGeneratedPlan) are listed above the preview as it was generated.
+
+/** Missing titles and titles over Jira's summary limit, as { path, message }. */
+function previewFieldErrors(aiOutput) {
+    const meta = aiOutput._meta || {};
+    const errors = [];
+    const checkTitle = (item, path) => {
+        const title = (item.title || '').trim();
+        const at = path ? `${path}.title` : 'title';
+        if (!title) errors.push({ path: at, message: 'Title is missing' });
+        else if (title.length > JIRA_SUMMARY_MAX_LENGTH) {
+            errors.push({ path: at, message: `${title.length} characters; Jira allows ${JIRA_SUMMARY_MAX_LENGTH}` });
+        }
+    };
+    // Otherwise the parent already exists
+    if (meta.mode === 'create' || (meta.mode === 'epic' && !meta.parentKey)) checkTitle(aiOutput, '');
+    (aiOutput.subtasks || []).forEach((st, i) => checkTitle(st, `subtasks.${i}`));
+    (aiOutput.stories || []).forEach((story, i) => {
+        checkTitle(story, `stories.${i}`);
+        story.subtasks.forEach((st, j) => checkTitle(st, `stories.${i}.subtasks.${j}`));
+    });
+    return errors;
+}
 
-    let userPrompt;
-    if (mode === 'breakdown') {
-        userPrompt = `Break the Jira story below into exactly ${numSubtasks} subtasks.
+/** "stories.0.subtasks.2.title" → "Story 1 · Subtask 3 · title". */
+function planErrorLabel(path) {
+    if (!path) return 'AI output';
+    const names = { stories: 'Story', subtasks: 'Subtask', acceptance_criteria: 'Criterion' };
+    const parts = path.split('.');
+    const label = parts.map((part, k) => {
+        if (/^\d+$/.test(part)) return null;
+        const index = parts[k + 1];
+        if (/^\d+$/.test(index ?? '')) return `${names[part]} ${Number(index) + 1}`;
+        return part.replace(/_/g, ' ');
+    }).filter(Boolean).join(' · ');
+    return label[0].toUpperCase() + label.slice(1);
+}
 
-Story: ${storyTitle}
-Description: ${storyDescription || '(none)'}
+/** The input a field path is edited in, if it is shown. */
+function previewFieldElement(path) {
+    const match = path.match(/^(?:subtasks\.(\d+)\.|stories\.(\d+)\.(?:subtasks\.(\d+)\.)?)?(\w+)/);
+    if (!match) return null;
+    const [, subtask, story, storySubtask, field] = match;
+    const rootIds = { title: 'preview-issue-title', description: 'preview-description', acceptance_criteria: 'preview-ac-list' };
+    let scope;
+    if (subtask !== undefined) scope = `#subtasks-container .subtask-card[data-index="${subtask}"]`;
+    else if (storySubtask !== undefined) scope = `.story-card[data-story="${story}"] .story-subtask[data-sub="${storySubtask}"]`;
+    else if (story !== undefined) scope = `.story-card[data-story="${story}"] >`;
+    else return document.getElementById(rootIds[field]);
+    return document.querySelector(`${scope} [data-field="${field}"]`);
+}
 
-Return ONLY this JSON:
-{
-  "title": "parent story title",
-  "description": "brief description",
-  "acceptance_criteria": ["AC 1", "AC 2"],
-  "subtasks": [
-    {
-      "title": "subtask title",
-      "description": "what needs to be done",
-      "acceptance_criteria": ["AC 1"]
-    }
-  ]
-}`;
-    } else {
-        userPrompt = `Create a Jira ${issueType} with exactly ${numSubtasks} subtasks from this description:
-
-"${description}"
-
-Return ONLY this JSON:
-{
-  "title": "clear, concise issue title",
-  "description": "2-3 sentence description",
-  "acceptance_criteria": ["AC 1", "AC 2", "AC 3"],
-  "subtasks": [
-    {
-      "title": "subtask title",
-      "description": "what needs to be done",
-      "acceptance_criteria": ["AC 1"]
-    }
-  ]
-}`;
-    }
-
-    const resp = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${groq_key}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt },
-            ],
-            response_format: { type: 'json_object' },
-            temperature: 0.4,
-        }),
+/** Marks the fields with problems; runs on every edit, so it only touches error markers. */
+function showPreviewErrors() {
+    if (!currentAiOutput) return;
+    const section = document.getElementById('preview-section');
+    section.querySelectorAll('.field-error').forEach(el => el.remove());
+    section.querySelectorAll('.field-invalid').forEach(el => el.classList.remove('field-invalid'));
+    previewFieldErrors(currentAiOutput).forEach(({ path, message }) => {
+        const input = previewFieldElement(path);
+        if (!input) return;
+        input.classList.add('field-invalid');
+        // Story subtask titles share a row with their delete button
+        const anchor = input.closest('.story-subtask-row') || input;
+        anchor.insertAdjacentHTML('afterend', `<div class="field-error">${escHtml(message)}</div>`);
     });
+}
+
+function renderValidationNotes(aiOutput) {
+    const notes = document.getElementById('validation-notes');
+    const errors = aiOutput._meta?.validationErrors || [];
+    notes.innerHTML = `⚠️ The AI output still had problems after asking again — please check:
+      <ul>${errors.map(e => `<li>${escHtml(planErrorLabel(e.path))}: ${escHtml(e.message)}</li>`).join('')}</ul>`;
+    notes.style.display = errors.length ? 'block' : 'none';
+}
+
+// ─── Creation Jobs ───────────────────────────────────────────────────────────
 
-    if (!resp.ok) {
-        const err = await resp.json().catch(() => ({}));
-        throw new Error(err.error?.message || `Groq API error ${resp.status}`);
+/** Hands a job to the service worker; progress arrives on `bgPort`. */
+async function queueJob(job, { rollback = false } = {}) {
+    if (JOB_ACTIVE_STATUSES.includes(job.status)) {
+        showJobPanel(job);
+        showToast('Already in progress…', 'info');
+        return;
     }
+    if (!rollback) {
+        job.status = 'queued';
+        await saveJob(job);
+    }
+    setConfirmLoading(true);
+    setJobButtonsDisabled(true);
+    sendToBackground({ type: rollback ? 'rollback-job' : 'run-job', jobId: job.id });
+}
 
-    const data = await resp.json();
-    const raw = data.choices?.[0]?.message?.content || '{}';
+function isJobOfInterest(job) {
+    return job.id === shownJobId || job.id === currentAiOutput?._meta?.jobId;
+}
 
-    let parsed;
-    try {
-        parsed = JSON.parse(raw.replace(/^```json\s*/i, '').replace(/```\s*$/, '').trim());
-    } catch {
-        throw new Error('AI returned invalid JSON. Please try again.');
+function onJobProgress(job) {
+    if (!isJobOfInterest(job)) return;
+    const current = job.items.find(i => i.status === 'creating');
+    if (current) {
+        const n = job.items.indexOf(current) + 1;
+        showToast(`Creating ${n}/${job.items.length}: ${current.title.slice(0, 30)}…`, 'info');
     }
+    if (shownJobId === job.id) renderJobPanel(job);
+}
+
+function onJobFinished(job, rollback) {
+    if (!isJobOfInterest(job)) return;
+    setConfirmLoading(false);
+    setJobButtonsDisabled(false);
 
-    if (!parsed.subtasks || !Array.isArray(parsed.subtasks)) {
-        throw new Error('AI response missing subtasks array. Please try again.');
+    if (rollback) {
+        if (job.status === 'rolledback') {
+            hideJobPanel();
+            showToast('Rolled back — created issues deleted', 'success');
+        } else {
+            showJobPanel(job);
+            showToast('Some issues could not be deleted', 'error');
+        }
+        return;
     }
 
-    // Trim/warn if count differs
-    if (parsed.subtasks.length > numSubtasks) {
-        parsed.subtasks = parsed.subtasks.slice(0, numSubtasks);
+    if (job.status === 'done') {
+        hideJobPanel();
+        const parentKey = jobRootKey(job);
+        showResult(parentKey, jobCreatedKeys(job), job.meta);
+        showCreatedPlan(job);
+        postToHost({ type: 'created', parentKey });
+        const failedLinks = (job.links || []).filter(l => l.status === 'failed');
+        if (failedLinks.length) {
+            showToast(`${failedLinks.length} dependency link(s) could not be created: ${failedLinks[0].error}`, 'error');
+        }
+    } else {
+        const failed = job.items.find(i => i.status === 'failed');
+        showJobPanel(job);
+        showToast(`Failed: ${failed?.error || 'some issues were not created'}`, 'error');
     }
+}
 
-    return parsed;
+/** Surfaces the most recent job that was interrupted or left with failures. */
+async function checkUnfinishedJobs() {
+    const jobs = Object.values(await loadJobs())
+        .filter(j => JOB_ACTIVE_STATUSES.includes(j.status) || (j.status === 'failed' && !j.dismissed))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    if (!jobs.length) return;
+    showJobPanel(jobs[0]);
+    // Still being worked on by the service worker — wait for its progress
+    setJobButtonsDisabled(JOB_ACTIVE_STATUSES.includes(jobs[0].status));
 }
 
-// ─── Jira API ────────────────────────────────────────────────────────────────
+async function onJobResume() {
+    const job = await getJob(shownJobId);
+    if (!job || !validateSettings(job.meta.projectKey)) return;
+    await queueJob(job);
+}
 
-function jiraHeaders() {
-    const { jira_email, jira_token } = currentSettings;
-    return {
-        'Authorization': 'Basic ' + btoa(`${jira_email}:${jira_token}`),
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-    };
+async function onJobRollback() {
+    const job = await getJob(shownJobId);
+    if (!job || !validateSettings(job.meta.projectKey)) return;
+    const created = job.items.filter(i => i.status === 'created').length;
+    if (!created) { showToast('Nothing to roll back', 'info'); return; }
+    await queueJob(job, { rollback: true });
+}
+
+async function onJobDismiss() {
+    const job = await getJob(shownJobId);
+    if (job) {
+        job.dismissed = true;
+        await saveJob(job);
+    }
+    hideJobPanel();
 }
 
-async function jiraRequest(method, path, body) {
-    const { jira_url } = currentSettings;
-    const url = `${jira_url}/rest/api/3/${path}`;
-    const opts = { method, headers: jiraHeaders() };
-    if (body) opts.body = JSON.stringify(body);
+// ─── History ────────────────────────────────────────────────────────────────
+//
+// Past generations (history.js). Reopening shows an entry's preview as it was
+// last edited; cloning copies it onto another story or project as a new entry.
 
-    const resp = await fetch(url, opts);
+let historyEntries = [];
+let historySaveTimer;
 
-    if (!resp.ok) {
-        const err = await resp.json().catch(() => ({}));
-        const msg = err.errorMessages?.join(', ') || Object.values(err.errors || {}).join(', ') || `HTTP ${resp.status}`;
-        throw new Error(`Jira error: ${msg}`);
-    }
+const HISTORY_STATUS_LABELS = { confirmed: '✅ Created', open: '📝 Open', abandoned: '⏸ Not created' };
+const HISTORY_CLONE_TARGETS = { breakdown: 'Story key, e.g. KAN-7', create: 'Project key, e.g. KAN', epic: 'Epic key or project key' };
 
-    if (resp.status === 204) return {};
-    return resp.json();
+async function toggleHistory() {
+    const section = document.getElementById('history-section');
+    if (section.style.display !== 'none') {
+        section.style.display = 'none';
+        return;
+    }
+    historyEntries = await loadHistory();
+    renderHistory();
+    section.style.display = 'block';
+    document.getElementById('history-search').focus();
 }
 
-async function jiraGetIssue(issueKey) {
-    const data = await jiraRequest('GET', `issue/${issueKey}?fields=summary,description,project,issuetype`);
-    const fields = data.fields || {};
-    return {
-        key: issueKey,
-        title: fields.summary || '',
-        description: extractAdfText(fields.description || {}),
-        projectKey: fields.project?.key || '',
-    };
+function renderHistory() {
+    const query = document.getElementById('history-search').value.trim();
+    const openId = currentAiOutput?._meta?.historyId;
+    const entries = historyEntries.filter(entry => historyMatches(entry, query));
+
+    document.getElementById('history-list').innerHTML = entries.length ? entries.map((entry) => {
+        const status = historyStatus(entry, openId);
+        const { aiOutput } = entry;
+        const count = aiOutput.stories
+            ? `${aiOutput.stories.length} stories`
+            : `${(aiOutput.subtasks || []).length} subtasks`;
+        return `
+      <div class="batch-item history-item history-${status}" data-id="${escHtml(entry.id)}">
+        <div class="batch-item-header">
+          <span class="batch-item-title" title="${escHtml(historyTitle(entry))}">${escHtml(historyTitle(entry))}</span>
+          <span class="batch-status">${HISTORY_STATUS_LABELS[status]}</span>
+        </div>
+        <div class="history-meta">
+          ${new Date(entry.createdAt).toLocaleString()} · ${escHtml(entry.mode)} · ${escHtml(entry.projectKey)} · ${count}
+          ${entry.request?.clonedFrom ? ' · cloned' : ''}
+          ${entry.createdKeys.length ? `<br>→ ${entry.createdKeys.map(key => issueLinkHtml(key)).join(', ')}` : ''}
+        </div>
+        <div class="batch-item-actions">
+          <button class="card-action" data-history-action="reopen">✏️ Reopen</button>
+          <button class="card-action" data-history-action="clone">⧉ Clone</button>
+          <button class="card-action card-action-danger" data-history-action="delete">✕</button>
+        </div>
+        <div class="split-row" style="display:none;">
+          <input type="text" class="clone-target" placeholder="${HISTORY_CLONE_TARGETS[entry.mode] || 'Issue or project key'}" />
+          <button class="card-action" data-history-action="clone-go">Clone</button>
+        </div>
+      </div>`;
+    }).join('') : '<div class="history-empty">No matching runs yet</div>';
 }
 
-function buildAdf(description, acceptanceCriteria) {
-    const content = [];
-    if (description) {
-        content.push({ type: 'paragraph', content: [{ type: 'text', text: description }] });
-    }
-    if (acceptanceCriteria && acceptanceCriteria.length > 0) {
-        content.push({ type: 'heading', attrs: { level: 3 }, content: [{ type: 'text', text: 'Acceptance Criteria' }] });
-        content.push({
-            type: 'bulletList',
-            content: acceptanceCriteria.map(ac => ({
-                type: 'listItem',
-                content: [{ type: 'paragraph', content: [{ type: 'text', text: ac }] }],
-            })),
-        });
+async function onHistoryAction(e) {
+    const btn = e.target.closest('[data-history-action]');
+    if (!btn || previewBusy) return;
+    const itemEl = btn.closest('.history-item');
+    const entry = historyEntries.find(h => h.id === itemEl.dataset.id);
+    if (!entry) return;
+
+    switch (btn.dataset.historyAction) {
+        case 'reopen':
+            hideResult();
+            currentAiOutput = structuredClone(entry.aiOutput);
+            renderPreview(currentAiOutput, entry.mode);
+            if (entry.confirmedAt) showToast('Already created — clone it to reuse the plan', 'info');
+            break;
+        case 'clone': {
+            const row = itemEl.querySelector('.split-row');
+            row.style.display = row.style.display === 'none' ? 'flex' : 'none';
+            row.querySelector('input').focus();
+            return;
+        }
+        case 'clone-go':
+            await cloneHistoryEntry(entry, itemEl.querySelector('.clone-target').value.trim().toUpperCase());
+            break;
+        case 'delete':
+            historyEntries = historyEntries.filter(h => h !== entry);
+            await saveHistory(historyEntries);
+            break;
+        default:
+            return;
     }
-    return { version: 1, type: 'doc', content };
+    renderHistory();
 }
 
-async function jiraCreateIssue({ projectKey, issueType, title, description, acceptanceCriteria }) {
-    return jiraRequest('POST', 'issue', {
-        fields: {
-            project: { key: projectKey },
-            summary: title,
-            description: buildAdf(description, acceptanceCriteria),
-            issuetype: { name: issueType },
-        },
-    });
+/**
+ * Copies an entry's plan onto `target`: a story key (breakdown), a project
+ * key (create) or either (epic — a project key plans a new epic). The copy
+ * is a new entry; duplicate flags are dropped so they are checked again.
+ */
+async function cloneHistoryEntry(entry, target) {
+    const isIssueKey = /^[A-Z][A-Z0-9]+-\d+$/.test(target);
+    if (!/^[A-Z][A-Z0-9]+(-\d+)?$/.test(target)) { showToast('Enter an issue or project key', 'error'); return; }
+    if (entry.mode === 'breakdown' && !isIssueKey) { showToast('Enter the story key to clone onto (e.g. KAN-7)', 'error'); return; }
+
+    const aiOutput = JSON.parse(JSON.stringify(entry.aiOutput, (key, value) => (key.startsWith('duplicate') ? undefined : value)));
+    const meta = aiOutput._meta;
+    const projectKey = target.split('-')[0];
+    // Allowed priorities, components and versions belong to the old project
+    if (projectKey !== meta.projectKey) delete meta.fieldOptions;
+    delete meta.jobId;
+    delete meta.batchId;
+    meta.projectKey = projectKey;
+    meta.parentKey = entry.mode !== 'create' && isIssueKey ? target : '';
+    meta.historyId = `gen-${Date.now()}`;
+
+    await addHistoryEntry({ mode: entry.mode, clonedFrom: entry.id }, aiOutput);
+    historyEntries = await loadHistory();
+    hideResult();
+    currentAiOutput = aiOutput;
+    renderPreview(currentAiOutput, entry.mode);
+    showToast(`Cloned onto ${target} — review and confirm`, 'success');
 }
 
-async function jiraCreateSubtask({ parentKey, projectKey, title, description, acceptanceCriteria, breakType, extraFields }) {
-    // If breakType is specified (and not empty), use it; otherwise auto-detect default subtask type
-    const typeName = breakType ? breakType : await detectSubtaskTypeName(projectKey);
+/** Saves the preview into its history entry once edits pause. */
+function scheduleHistorySave() {
+    clearTimeout(historySaveTimer);
+    historySaveTimer = setTimeout(() => {
+        const output = currentAiOutput;
+        if (!output?._meta?.historyId) return;
+        updateHistoryEntry(output._meta.historyId, { aiOutput: output })
+            .catch(err => console.warn('[JiraAI] History not saved:', err));
+    }, 800);
+}
 
-    const baseFields = {
-        project: { key: projectKey },
-        parent: { key: parentKey },
-        summary: title,
-        description: buildAdf(description, acceptanceCriteria),
-        issuetype: { name: typeName },
-    };
+// ─── Export & Import ─────────────────────────────────────────────────────────
+//
+// Formats live in export.js. The preview exports as edited; the result
+// section exports what was created, with the new Jira keys.
+
+let createdPlan = null;
+
+function onExportClick(e) {
+    const inResult = e.currentTarget.closest('#result-section');
+    const plan = inResult ? createdPlan : currentAiOutput;
+    if (!plan) return;
+    const { filename, mime, content } = exportPlan(plan, e.currentTarget.dataset.export);
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    // 1. Create with ESSENTIAL fields only (to avoid "Field not on screen" errors blocking creation)
-    const result = await jiraRequest('POST', 'issue', { fields: baseFields });
+/** The plan a finished job created, keys included: the open preview, or its history entry. */
+async function showCreatedPlan(job) {
+    let plan = currentAiOutput?._meta?.jobId === job.id ? currentAiOutput : null;
+    if (!plan && job.meta.historyId) {
+        plan = (await loadHistory()).find(entry => entry.id === job.meta.historyId)?.aiOutput || null;
+    }
+    createdPlan = plan && planWithJobKeys(plan, job);
+    document.getElementById('result-export').style.display = createdPlan ? 'flex' : 'none';
+}
 
-    // 2. Try to update with EXTRA fields (optional) — catch errors so creation success is preserved
-    if (extraFields && Object.keys(extraFields).length > 0) {
-        try {
-            await jiraRequest('PUT', `issue/${result.key}`, { fields: extraFields });
-        } catch (err) {
-            console.warn(`[JiraAI] Failed to set extra fields (e.g. Due Date) on ${result.key}. Field might be missing from Edit screen.`, err);
-        }
+/**
+ * Loads a plan file into the preview. Stories make an epic plan (Epic tab
+ * options); otherwise the plan goes under the story of the Break Story tab,
+ * or becomes a new issue when imported from the Create or Epic tab.
+ */
+async function onImportFile(e) {
+    const input = e.target;
+    const file = input.files[0];
+    input.value = '';
+    if (!file || previewBusy) return;
+
+    let plan;
+    try {
+        plan = parsePlanFile(await file.text(), file.name);
+    } catch (err) {
+        showToast(`Import failed: ${err.message}`, 'error');
+        return;
     }
 
-    return result;
+    let meta;
+    if (plan.stories) {
+        meta = readEpicMeta();
+    } else if (activeTab === 'breakdown') {
+        const storyKey = document.getElementById('bd-story-key').value.trim().toUpperCase();
+        if (!storyKey) { showToast('Enter the Story Key to import the subtasks under', 'error'); return; }
+        meta = { ...readBreakdownMeta(), parentKey: storyKey };
+        meta.projectKey = meta.projectKey || storyKey.split('-')[0];
+    } else {
+        meta = readCreateMeta();
+    }
+    if (!meta.projectKey) { showToast('Please enter a Project Key (e.g. KAN)', 'error'); return; }
+
+    applyGenerationDefaults(plan, meta);
+    // Imported criteria are plain text, but tests are created as for a generated plan
+    const { testCases, testIssueType } = resolvePromptTemplates(meta.projectKey);
+    plan._meta = { ...meta, testCases, testIssueType, historyId: `gen-${Date.now()}` };
+    await addHistoryEntry({ mode: meta.mode, importedFrom: file.name }, plan);
+
+    hideResult();
+    currentAiOutput = plan;
+    renderPreview(currentAiOutput, meta.mode);
+    showToast(`Imported ${file.name} — review and confirm`, 'success');
 }
 
-async function jiraAddWatcher(issueKey, userQuery) {
-    // Determine if userQuery is an accountId or string
-    // Jira API requires accountId string.
-    let accountId = userQuery;
+// ─── UI Helpers ─────────────────────────────────────────────────────────────
 
-    // Simple check: if it contains @, assumes email and try to search
-    // (Note: /user/search may require special permissions or GDPR settings)
-    if (userQuery.includes('@')) {
-        try {
-            const users = await jiraRequest('GET', `user/search?query=${encodeURIComponent(userQuery)}`);
-            if (users && users.length > 0) {
-                accountId = users[0].accountId;
-            }
-        } catch { /* ignore search error, try using as-is */ }
+function renderPreview(aiOutput, mode) {
+    const previewSection = document.getElementById('preview-section');
+    const isEpic = mode === 'epic';
+    // Another preview (e.g. reopened from history) takes over from the streamed cards
+    endStreamingPreview();
+
+    // Title (for a new issue or epic — otherwise the parent already exists)
+    const titleInput = document.getElementById('preview-issue-title');
+    titleInput.value = aiOutput.title || '';
+    titleInput.style.display = mode === 'create' || (isEpic && !aiOutput._meta?.parentKey) ? 'block' : 'none';
+    titleInput.placeholder = isEpic ? 'Epic title' : 'Issue title';
+
+    // Description and acceptance criteria (one per line, or Gherkin scenarios).
+    // An existing parent is never rewritten, so they are shown read-only then.
+    const parentExists = mode === 'breakdown' || (isEpic && !!aiOutput._meta?.parentKey);
+    const descInput = document.getElementById('preview-description');
+    const acInput = document.getElementById('preview-ac-list');
+    descInput.value = aiOutput.description || '';
+    acInput.value = criteriaToText(aiOutput.acceptance_criteria);
+    [descInput, acInput].forEach((el) => {
+        el.readOnly = parentExists;
+        el.title = parentExists ? `${aiOutput._meta?.parentKey || 'The parent'} already exists and is not changed` : '';
+    });
+    document.getElementById('preview-ac-hint').textContent = isGherkinPreview() ? '(scenarios, blank line between)' : '(one per line)';
+
+    document.getElementById('subtasks-section').style.display = isEpic ? 'none' : 'block';
+    document.getElementById('stories-section').style.display = isEpic ? 'block' : 'none';
+    if (isEpic) {
+        renderStoryTree();
+    } else {
+        renderSubtaskCards();
+        refreshDuplicateFlags();
     }
+    renderValidationNotes(aiOutput);
+    showPreviewErrors();
 
-    // Quote string for POST body format needed by some Jira APIs?
-    // /issue/{key}/watchers POST body is just the string "accountId" (with quotes in JSON)
-    return jiraRequest('POST', `issue/${issueKey}/watchers`, accountId);
+    previewSection.style.display = 'block';
+    previewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
-// Cache of discovered subtask type name per project
-const _subtaskTypeCache = {};
-
 /**
- * Queries the Jira project's issue types to find the correct subtask type name.
- * Jira Cloud uses 'Subtask', 'Sub-task', or other variants depending on config.
- * Caches result so the API is only called once per project.
+ * Renders the editable subtask cards from currentAiOutput.subtasks.
+ * Called on every structural change (add / delete / move / duplicate);
+ * plain text edits write straight into currentAiOutput without a re-render.
  */
-async function detectSubtaskTypeName(projectKey) {
-    if (_subtaskTypeCache[projectKey]) return _subtaskTypeCache[projectKey];
+function renderSubtaskCards() {
+    const subtasks = currentAiOutput?.subtasks || [];
+    const container = document.getElementById('subtasks-container');
+    // Structural edits (delete, duplicate, add) can leave ids or references stale
+    normalizeDependencies(subtasks);
+    renderDependencyView(subtasks);
+    document.getElementById('subtask-count').textContent = subtasks.length;
+    container.innerHTML = subtasks.map((st, i) => `
+    <div class="subtask-card ${st.duplicate_action === 'skip' ? 'skipped' : ''}" data-index="${i}">
+      <div class="subtask-card-header">
+        <div class="subtask-num">Subtask ${i + 1}</div>
+        <div class="card-actions">
+          <button class="card-action" data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+          <button class="card-action" data-action="down" title="Move down" ${i === subtasks.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="card-action" data-action="duplicate" title="Duplicate">⧉</button>
+          <button class="card-action" data-action="regenerate" title="Regenerate with AI">🔄</button>
+          <button class="card-action" data-action="split" title="Split with AI">✂</button>
+          <button class="card-action" data-action="merge" title="Merge with next subtask" ${i === subtasks.length - 1 ? 'disabled' : ''}>⤵</button>
+          <button class="card-action card-action-danger" data-action="delete" title="Delete">✕</button>
+        </div>
+      </div>
+      <div class="split-row" style="display:none;">
+        Split into <input type="number" class="split-count" value="2" min="2" max="10" />
+        <button class="card-action" data-action="split-go">✂ Split</button>
+      </div>
+      ${renderDuplicateRow(st)}
+      <input type="text" class="subtask-title" data-field="title" value="${escHtml(st.title || '')}" placeholder="Subtask title" />
+      <textarea class="subtask-desc" data-field="description" rows="2" placeholder="What needs to be done">${escHtml(st.description || '')}</textarea>
+      <textarea class="subtask-ac" data-field="acceptance_criteria" rows="2" placeholder="${criteriaPlaceholder()}">${escHtml(criteriaToText(st.acceptance_criteria))}</textarea>
+      <div class="subtask-fields">
+        <label>Points <input type="number" class="subtask-estimate" data-field="story_points" value="${st.story_points ?? ''}" min="0" max="100" step="0.5" /></label>
+        <label>Priority ${subtaskSelect('priority', st.priority, projectOptions.priorities, 'name', 'name', 'Default')}</label>
+        <label>Assignee ${subtaskSelect('assignee_id', st.assignee_id, projectOptions.users, 'accountId', 'displayName', 'Unassigned')}</label>
+        <label>Component ${subtaskSelect('component', st.component, projectOptions.components, 'name', 'name', 'None')}</label>
+        <label>Version ${subtaskSelect('fix_version', st.fix_version, projectOptions.versions, 'name', 'name', 'None')}</label>
+        <label class="subtask-labels">Labels <input type="text" data-field="labels" value="${escHtml((st.labels || []).join(', '))}" placeholder="comma-separated" /></label>
+      </div>
+      ${subtasks.length > 1 ? `<div class="dep-row">Blocked by ${subtasks.map((other, j) => (j === i ? '' : `
+        <button class="card-action dep-chip ${st.blocked_by.includes(other.id) ? 'active' : ''}" data-action="toggle-blocker" data-blocker="${escHtml(other.id)}" title="${escHtml(other.title)}">#${j + 1}</button>`)).join('')}
+      </div>` : ''}
+    </div>
+  `).join('');
+    showPreviewErrors();
+}
 
-    try {
-        // Use createmeta endpoint which lists all valid issue types per project
-        const data = await jiraRequest(
-            'GET',
-            `issue/createmeta?projectKeys=${projectKey}&expand=projects.issuetypes`
-        );
-        const projects = data.projects || [];
-        const proj = projects.find(p => p.key === projectKey);
-        if (proj) {
-            const types = proj.issuetypes || [];
-            // Find any type marked as a subtask
-            const subtaskType = types.find(t => t.subtask === true);
-            if (subtaskType) {
-                _subtaskTypeCache[projectKey] = subtaskType.name;
-                console.log('[JiraAI] Detected subtask type:', subtaskType.name);
-                return subtaskType.name;
-            }
-        }
-    } catch (e) {
-        console.warn('[JiraAI] createmeta failed, trying fallback names:', e.message);
-    }
-
-    // Fallback: try common names until one works
-    const candidates = ['Subtask', 'Sub-task', 'subtask', 'sub-task'];
-    for (const name of candidates) {
-        try {
-            const resp = await fetch(
-                `${currentSettings.jira_url}/rest/api/3/issue`,
-                {
-                    method: 'POST',
-                    headers: jiraHeaders(),
-                    body: JSON.stringify({
-                        fields: { project: { key: projectKey }, issuetype: { name }, summary: '__probe__' },
-                    }),
-                }
-            );
-            const body = await resp.json().catch(() => ({}));
-            const errText = JSON.stringify(body).toLowerCase();
-            // If no issuetype error, this name is valid
-            if (!errText.includes('issuetype') && !errText.includes('issue type')) {
-                _subtaskTypeCache[projectKey] = name;
-                console.log('[JiraAI] Subtask type found via probe:', name);
-                return name;
-            }
-        } catch { /* continue */ }
+/**
+ * The order and "blocks" relationships at a glance: one line per subtask in
+ * dependency order, with a warning when the cards are not in that order.
+ */
+function renderDependencyView(subtasks) {
+    const view = document.getElementById('dependency-view');
+    if (!subtasks.some(st => st.blocked_by.length)) {
+        view.style.display = 'none';
+        return;
     }
+    const number = id => subtasks.findIndex(st => st.id === id) + 1;
+    const ordered = dependencyOrder(subtasks);
+    const inOrder = ordered.every((st, i) => st === subtasks[i]);
+
+    view.innerHTML = `
+      <div class="dep-title">🔗 Dependencies</div>
+      <ol class="dep-list">${ordered.map(st => `
+        <li>#${number(st.id)} ${escHtml(st.title || '(untitled)')}${st.blocked_by.length
+            ? ` <span class="dep-blocked">← after ${st.blocked_by.map(b => `#${number(b)}`).join(', ')}</span>`
+            : ''}</li>`).join('')}
+      </ol>
+      ${inOrder ? '' : '<div class="dep-warning">⚠️ Some subtasks come before their blockers. <button class="card-action" id="dep-sort-btn">Sort by dependencies</button></div>'}`;
+    view.style.display = 'block';
+}
 
-    _subtaskTypeCache[projectKey] = 'Subtask';
-    return 'Subtask';
+function onDependencyViewClick(e) {
+    if (e.target.id !== 'dep-sort-btn' || !currentAiOutput || previewBusy) return;
+    currentAiOutput.subtasks = dependencyOrder(currentAiOutput.subtasks);
+    renderSubtaskCards();
 }
 
-async function jiraTransition(issueKey, targetStatus) {
-    const data = await jiraRequest('GET', `issue/${issueKey}/transitions`);
-    const match = (data.transitions || []).find(
-        t => t.name.toLowerCase() === targetStatus.toLowerCase()
+/**
+ * A per-card dropdown. A value missing from `items` (lists not loaded yet,
+ * or restored from another project) is kept as an extra option.
+ */
+function subtaskSelect(field, value, items, valueKey, labelKey, emptyLabel) {
+    const options = items.map(item =>
+        `<option value="${escHtml(item[valueKey])}" ${item[valueKey] === value ? 'selected' : ''}>${escHtml(item[labelKey])}</option>`
     );
-    if (!match) return;
-    await jiraRequest('POST', `issue/${issueKey}/transitions`, { transition: { id: match.id } });
+    if (value && !items.some(item => item[valueKey] === value)) {
+        options.unshift(`<option value="${escHtml(value)}" selected>${escHtml(value)}</option>`);
+    }
+    return `<select data-field="${field}"><option value="">${emptyLabel}</option>${options.join('')}</select>`;
+}
+
+/** Splits a one-per-line textarea value into a clean string array. */
+function parseLines(value) {
+    return value.split('\n').map(s => s.trim()).filter(Boolean);
 }
 
-function extractAdfText(adf) {
-    if (!adf || !adf.content) return '';
-    const texts = [];
-    function walk(node) {
-        if (node.type === 'text') texts.push(node.text || '');
-        (node.content || []).forEach(walk);
+// Gherkin scenarios span lines, so they are edited with a blank line between them
+function isGherkinPreview() {
+    return currentAiOutput?._meta?.acFormat === 'gherkin';
+}
+
+function criteriaToText(criteria) {
+    return (criteria || []).join(isGherkinPreview() ? '\n\n' : '\n');
+}
+
+function parseCriteria(value) {
+    return isGherkinPreview() ? value.split(/\n\s*\n/).map(s => s.trim()).filter(Boolean) : parseLines(value);
+}
+
+function criteriaPlaceholder() {
+    return isGherkinPreview() ? 'Given/When/Then scenarios (blank line between)' : 'Acceptance criteria (one per line)';
+}
+
+function onPreviewFieldInput(e) {
+    if (!currentAiOutput || previewBusy) return;
+    const el = e.target;
+    if (el.id === 'preview-issue-title') currentAiOutput.title = el.value;
+    else if (el.id === 'preview-description') currentAiOutput.description = el.value;
+    else if (el.id === 'preview-ac-list') currentAiOutput.acceptance_criteria = parseCriteria(el.value);
+}
+
+function onSubtaskCardInput(e) {
+    if (!currentAiOutput || previewBusy) return;
+    const field = e.target.dataset.field;
+    const card = e.target.closest('.subtask-card');
+    if (!field || !card) return;
+    const st = currentAiOutput.subtasks[Number(card.dataset.index)];
+    if (field === 'acceptance_criteria') st[field] = parseCriteria(e.target.value);
+    else if (field === 'story_points') st[field] = e.target.value === '' ? null : parseFloat(e.target.value);
+    else if (field === 'labels') st[field] = e.target.value.split(',').map(l => l.trim().replace(/\s+/g, '-')).filter(Boolean);
+    else if (['priority', 'assignee_id', 'component', 'fix_version'].includes(field)) st[field] = e.target.value || null;
+    else if (field === 'duplicate_action') {
+        const [action, key] = e.target.value.split(':');
+        st.duplicate_action = action;
+        st.duplicate_of = key || '';
+        card.classList.toggle('skipped', action === 'skip');
     }
-    walk(adf);
-    return texts.join(' ').trim();
+    else st[field] = e.target.value;
 }
 
-// ─── UI Helpers ─────────────────────────────────────────────────────────────
+async function onSubtaskCardAction(e) {
+    const btn = e.target.closest('.card-action');
+    if (!btn || !currentAiOutput || previewBusy) return;
+    const card = btn.closest('.subtask-card');
+    const i = Number(card.dataset.index);
+    const subtasks = currentAiOutput.subtasks;
+
+    switch (btn.dataset.action) {
+        case 'up':
+            if (i > 0) [subtasks[i - 1], subtasks[i]] = [subtasks[i], subtasks[i - 1]];
+            break;
+        case 'down':
+            if (i < subtasks.length - 1) [subtasks[i + 1], subtasks[i]] = [subtasks[i], subtasks[i + 1]];
+            break;
+        case 'duplicate':
+            // The copy gets its own id (see normalizeDependencies) and no blockers the user never set
+            subtasks.splice(i + 1, 0, { ...structuredClone(subtasks[i]), id: '', blocked_by: [] });
+            break;
+        case 'delete':
+            subtasks.splice(i, 1);
+            break;
+        case 'toggle-blocker': {
+            const st = subtasks[i];
+            const id = btn.dataset.blocker;
+            st.blocked_by = st.blocked_by.includes(id) ? st.blocked_by.filter(b => b !== id) : [...st.blocked_by, id];
+            // normalizeDependencies (in renderSubtaskCards) drops the edge again if it closes a cycle
+            break;
+        }
+        case 'split': {
+            const row = card.querySelector('.split-row');
+            row.style.display = row.style.display === 'none' ? 'flex' : 'none';
+            return;
+        }
+        case 'regenerate':
+            await runPreviewAiAction(card, async () => {
+                subtasks[i] = await aiRegenerateSubtask(currentAiOutput, i);
+            });
+            break;
+        case 'split-go': {
+            const parts = Math.min(10, Math.max(2, parseInt(card.querySelector('.split-count').value, 10) || 2));
+            await runPreviewAiAction(card, async () => {
+                const oldId = subtasks[i].id;
+                const split = await aiSplitSubtask(currentAiOutput, i, parts);
+                subtasks.splice(i, 1, ...split);
+                retargetDependencies(subtasks, oldId, split.map(st => st.id));
+            });
+            break;
+        }
+        case 'merge':
+            if (i >= subtasks.length - 1) return;
+            await runPreviewAiAction(card, async () => {
+                const [keptId, mergedId] = [subtasks[i].id, subtasks[i + 1].id];
+                subtasks.splice(i, 2, await aiMergeSubtasks(currentAiOutput, i, i + 1));
+                retargetDependencies(subtasks, mergedId, [keptId]);
+            });
+            break;
+        default:
+            return;
+    }
+    renderSubtaskCards();
+}
 
-function renderPreview(aiOutput, mode) {
-    const previewSection = document.getElementById('preview-section');
+async function onRefine() {
+    const input = document.getElementById('refine-input');
+    const instruction = input.value.trim();
+    if (!currentAiOutput || previewBusy) return;
+    if (!instruction) { showToast('Describe how to change the breakdown', 'error'); return; }
+    if (!validateSettings(currentAiOutput._meta?.projectKey, { needsLlm: true })) return;
 
-    // Title (for create flow)
-    const titleBox = document.getElementById('preview-issue-title');
-    if (mode === 'create' && aiOutput.title) {
-        titleBox.textContent = `📌 ${aiOutput.title}`;
-        titleBox.style.display = 'block';
-    } else {
-        titleBox.style.display = 'none';
+    const ok = await runPreviewAiAction(null, async () => {
+        const revised = await aiRefine(currentAiOutput, instruction);
+        Object.assign(currentAiOutput, revised);
+    });
+    if (ok) {
+        input.value = '';
+        renderPreview(currentAiOutput, currentAiOutput._meta?.mode);
+        showToast('Breakdown updated', 'success');
     }
+}
 
-    // Description
-    document.getElementById('preview-description').textContent = aiOutput.description || '';
+let previewBusy = false;
 
-    // Acceptance criteria
-    const acSection = document.getElementById('preview-ac-section');
-    const acList = document.getElementById('preview-ac-list');
-    const acs = aiOutput.acceptance_criteria || [];
-    if (acs.length > 0) {
-        acList.innerHTML = acs.map(ac => `<li>${escHtml(ac)}</li>`).join('');
-        acSection.style.display = 'block';
+/**
+ * Makes the preview fields read-only while an AI edit runs, so nothing typed
+ * meanwhile is overwritten or lands on a card that has moved. Fields that are
+ * read-only anyway are left alone when unlocking.
+ */
+function lockPreviewFields(locked) {
+    const section = document.getElementById('preview-section');
+    if (locked) {
+        section.querySelectorAll('input, textarea, select').forEach((el) => {
+            if (el.readOnly || el.disabled) return;
+            el.dataset.busyLock = '1';
+            if (el.tagName === 'SELECT') el.disabled = true;
+            else el.readOnly = true;
+        });
     } else {
-        acSection.style.display = 'none';
+        section.querySelectorAll('[data-busy-lock]').forEach((el) => {
+            delete el.dataset.busyLock;
+            el.readOnly = false;
+            el.disabled = false;
+        });
     }
+}
 
-    // Subtasks
-    const subtasks = aiOutput.subtasks || [];
-    const container = document.getElementById('subtasks-container');
-    document.getElementById('subtask-count').textContent = subtasks.length;
-    container.innerHTML = subtasks.map((st, i) => `
-    <div class="subtask-card">
-      <div class="subtask-num">Subtask ${i + 1}</div>
-      <div class="subtask-title">${escHtml(st.title)}</div>
-      ${st.description ? `<div class="subtask-desc">${escHtml(st.description)}</div>` : ''}
+/**
+ * Runs an AI edit of the preview while blocking other edits.
+ * `card` (optional) is highlighted as the one being changed.
+ * Resolves true on success; errors are reported as a toast.
+ */
+async function runPreviewAiAction(card, action) {
+    if (!validateSettings(currentAiOutput._meta?.projectKey, { needsLlm: true })) return false;
+
+    const llmConfig = resolveLlmConfig(currentSettings, currentAiOutput._meta?.projectKey);
+    showToast(`Calling ${llmConfig.label} (${llmConfig.model})…`, 'info');
+
+    previewBusy = true;
+    document.getElementById('preview-section').classList.add('busy');
+    lockPreviewFields(true);
+    card?.classList.add('working');
+    try {
+        await action();
+        scheduleHistorySave();
+        return true;
+    } catch (err) {
+        showToast(`Error: ${err.message}`, 'error');
+        return false;
+    } finally {
+        previewBusy = false;
+        document.getElementById('preview-section').classList.remove('busy');
+        lockPreviewFields(false);
+        card?.classList.remove('working');
+    }
+}
+
+/** A blank subtask with the generation's defaults (estimate, priority, labels…). */
+function newPreviewSubtask() {
+    const st = { title: '', description: '', acceptance_criteria: [] };
+    applyGenerationDefaults({ subtasks: [st] }, currentAiOutput._meta || {});
+    return st;
+}
+
+function onAddSubtask() {
+    if (!currentAiOutput || previewBusy) return;
+    if (!Array.isArray(currentAiOutput.subtasks)) currentAiOutput.subtasks = [];
+    currentAiOutput.subtasks.push(newPreviewSubtask());
+    renderSubtaskCards();
+    const cards = document.querySelectorAll('#subtasks-container .subtask-title');
+    cards[cards.length - 1]?.focus();
+}
+
+// ─── Story Tree (epic mode) ─────────────────────────────────────────────────
+//
+// Epic plans hold `stories`, each with its own `subtasks`. Stories are full
+// cards; their subtasks are compact rows (title and description) — per-subtask
+// fields come from the generation defaults.
+
+function renderStoryTree() {
+    const stories = currentAiOutput?.stories || [];
+    // Deleting a subtask can leave another one blocked by it
+    stories.forEach(story => normalizeDependencies(story.subtasks));
+    document.getElementById('story-count').textContent = stories.length;
+    document.getElementById('stories-container').innerHTML = stories.map((story, i) => `
+    <div class="subtask-card story-card" data-story="${i}">
+      <div class="subtask-card-header">
+        <div class="subtask-num">Story ${i + 1}</div>
+        <div class="card-actions">
+          <button class="card-action" data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+          <button class="card-action" data-action="down" title="Move down" ${i === stories.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="card-action card-action-danger" data-action="delete" title="Delete story">✕</button>
+        </div>
+      </div>
+      <input type="text" class="subtask-title" data-field="title" value="${escHtml(story.title || '')}" placeholder="Story title" />
+      <textarea class="subtask-desc" data-field="description" rows="2" placeholder="What the story delivers">${escHtml(story.description || '')}</textarea>
+      <textarea class="subtask-ac" data-field="acceptance_criteria" rows="2" placeholder="${criteriaPlaceholder()}">${escHtml(criteriaToText(story.acceptance_criteria))}</textarea>
+      <div class="story-subtasks">
+        ${story.subtasks.map((st, j) => `
+        <div class="story-subtask" data-sub="${j}">
+          <div class="story-subtask-row">
+            <input type="text" class="subtask-title" data-field="title" value="${escHtml(st.title || '')}" placeholder="Subtask title" />
+            <button class="card-action card-action-danger" data-action="delete-subtask" title="Delete subtask">✕</button>
+          </div>
+          <textarea class="subtask-desc" data-field="description" rows="1" placeholder="What needs to be done">${escHtml(st.description || '')}</textarea>
+        </div>`).join('')}
+        <button class="card-action" data-action="add-subtask">＋ Subtask</button>
+      </div>
     </div>
   `).join('');
+    showPreviewErrors();
+}
 
-    previewSection.style.display = 'block';
-    previewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+function onStoryTreeInput(e) {
+    if (!currentAiOutput || previewBusy) return;
+    const field = e.target.dataset.field;
+    const storyEl = e.target.closest('.story-card');
+    if (!field || !storyEl) return;
+    const story = currentAiOutput.stories[Number(storyEl.dataset.story)];
+    const subEl = e.target.closest('.story-subtask');
+    const target = subEl ? story.subtasks[Number(subEl.dataset.sub)] : story;
+    target[field] = field === 'acceptance_criteria' ? parseCriteria(e.target.value) : e.target.value;
+}
+
+function onStoryTreeAction(e) {
+    const btn = e.target.closest('.card-action');
+    if (!btn || !currentAiOutput || previewBusy) return;
+    const stories = currentAiOutput.stories;
+    const i = Number(btn.closest('.story-card').dataset.story);
+
+    switch (btn.dataset.action) {
+        case 'up':
+            if (i > 0) [stories[i - 1], stories[i]] = [stories[i], stories[i - 1]];
+            break;
+        case 'down':
+            if (i < stories.length - 1) [stories[i + 1], stories[i]] = [stories[i], stories[i + 1]];
+            break;
+        case 'delete':
+            stories.splice(i, 1);
+            break;
+        case 'add-subtask':
+            stories[i].subtasks.push(newPreviewSubtask());
+            break;
+        case 'delete-subtask':
+            stories[i].subtasks.splice(Number(btn.closest('.story-subtask').dataset.sub), 1);
+            break;
+        default:
+            return;
+    }
+    renderStoryTree();
+}
+
+function onAddStory() {
+    if (!currentAiOutput || previewBusy) return;
+    currentAiOutput.stories.push({ title: '', description: '', acceptance_criteria: [], subtasks: [] });
+    renderStoryTree();
+    const titles = document.querySelectorAll('#stories-container .story-card > .subtask-title');
+    titles[titles.length - 1]?.focus();
 }
 
 function showResult(parentKey, allKeys, meta) {
     hidePreview();
 
     const resultSection = document.getElementById('result-section');
-    const { jira_url } = currentSettings;
 
     const subtaskKeys = allKeys.filter(k => k !== parentKey);
     const subtaskCount = subtaskKeys.length;
     const mode = meta.mode;
 
-    document.getElementById('result-message').textContent =
-        mode === 'create'
-            ? `✅ Created ${subtaskCount + 1} issues in Jira!`
-            : `✅ Created ${subtaskCount} subtasks under ${parentKey}!`;
+    let message;
+    if (mode === 'create') message = `✅ Created ${subtaskCount + 1} issues in Jira!`;
+    else if (mode === 'epic') message = `✅ Created ${allKeys.length} issues${meta.parentKey ? ` under ${parentKey}` : ''}!`;
+    else message = `✅ Created ${subtaskCount} subtasks under ${parentKey}!`;
+    document.getElementById('result-message').textContent = message;
 
     const linksEl = document.getElementById('result-links');
-    const allToShow = mode === 'create' ? allKeys : subtaskKeys;
-    linksEl.innerHTML = allToShow.map(key =>
-        `<a href="${jira_url}/browse/${key}" target="_blank" class="result-link">${key}</a>`
-    ).join('');
+    const allToShow = mode === 'breakdown' ? subtaskKeys : allKeys;
+    linksEl.innerHTML = allToShow.map(key => issueLinkHtml(key, 'result-link')).join('');
 
     resultSection.style.display = 'block';
 }
 
+let shownJobId = null;
+
+const JOB_ITEM_ICONS = { pending: '⏸', creating: '⏳', created: '✅', failed: '❌', deleted: '🗑' };
+
+function showJobPanel(job) {
+    shownJobId = job.id;
+    renderJobPanel(job);
+    document.getElementById('job-section').style.display = 'block';
+}
+
+function hideJobPanel() {
+    shownJobId = null;
+    document.getElementById('job-section').style.display = 'none';
+}
+
+function renderJobPanel(job) {
+    const created = job.items.filter(i => i.status === 'created').length;
+    const failed = job.items.filter(i => i.status === 'failed').length;
+    const target = job.meta.parentKey || job.meta.projectKey;
+
+    document.getElementById('job-message').textContent = JOB_ACTIVE_STATUSES.includes(job.status)
+        ? `⏳ Working on ${target}: ${created}/${job.items.length} created`
+        : `⚠️ ${target}: ${created}/${job.items.length} created, ${failed} failed or interrupted`;
+
+    document.getElementById('job-items').innerHTML = job.items.map(item => `
+      <li class="job-item job-item-${item.status}">
+        <span>${JOB_ITEM_ICONS[item.status] || ''}</span>
+        ${item.key ? issueLinkHtml(item.key) : ''}
+        <span class="job-item-title">${escHtml(item.title)}</span>
+        ${item.error ? `<div class="job-item-error">${escHtml(item.error)}</div>` : ''}
+      </li>
+    `).join('');
+}
+
+function setJobButtonsDisabled(disabled) {
+    ['job-resume-btn', 'job-rollback-btn', 'job-dismiss-btn'].forEach((id) => {
+        document.getElementById(id).disabled = disabled;
+    });
+}
+
 function hidePreview() {
     document.getElementById('preview-section').style.display = 'none';
 }
@@ -888,13 +2031,21 @@ function setConfirmLoading(loading) {
     spinner.style.display = loading ? 'inline' : 'none';
 }
 
-function validateSettings() {
-    const { groq_key, jira_url, jira_email, jira_token } = currentSettings;
-    if (!groq_key || !jira_url || !jira_email || !jira_token) {
+function validateSettings(projectKey, { needsLlm = false } = {}) {
+    const { jira_url, jira_email, jira_token } = currentSettings;
+    if (!jira_url || !jira_email || !jira_token) {
         showToast('Please configure your credentials in Settings first.', 'error');
         chrome.runtime.openOptionsPage();
         return false;
     }
+    if (needsLlm) {
+        const llmError = llmConfigError(resolveLlmConfig(currentSettings, projectKey));
+        if (llmError) {
+            showToast(`${llmError} Check Settings.`, 'error');
+            chrome.runtime.openOptionsPage();
+            return false;
+        }
+    }
     return true;
 }
 
@@ -916,3 +2067,9 @@ function escHtml(str) {
         .replace(/>/g, '&gt;')
         .replace(/"/g, '&quot;');
 }
+
+/** A link to `key` on the current Jira site, escaped for innerHTML. */
+function issueLinkHtml(key, className = '') {
+    const href = `${currentSettings.jira_url}/browse/${encodeURIComponent(key)}`;
+    return `<a href="${escHtml(href)}" target="_blank"${className ? ` class="${className}"` : ''}>${escHtml(key)}</a>`;
+}
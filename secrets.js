@@ -0,0 +1,147 @@
+/**
+ * secrets.js — Optional passphrase encryption of credentials.
+ *
+ * With encryption on, Jira API tokens and AI provider keys are taken out of
+ * chrome.storage.sync (so they no longer sync to other browsers) and kept
+ * encrypted in chrome.storage.local: AES-GCM with a key derived from the
+ * passphrase by PBKDF2. Unlocking decrypts them into chrome.storage.session,
+ * which only extension pages and the service worker can read and which is
+ * cleared when the browser closes.
+ *
+ * Shared by the background service worker, popup and options page; settings
+ * read from storage go through withSecrets() before use.
+ */
+
+'use strict';
+
+const SECRETS_VAULT_KEY = 'secrets_vault';
+const SECRETS_SESSION_KEY = 'secrets';
+const PBKDF2_ITERATIONS = 600000;
+
+// ─── Settings ↔ Secrets ─────────────────────────────────────────────────────
+
+/** Splits stored settings into a copy with blank secrets and the secrets themselves. */
+function extractSecrets(data) {
+    const stripped = structuredClone(data);
+    const secrets = { jira_tokens: {}, api_keys: {} };
+    Object.entries(stripped[JIRA_PROFILES_KEY] || {}).forEach(([id, profile]) => {
+        if (profile.jira_token) secrets.jira_tokens[id] = profile.jira_token;
+        profile.jira_token = '';
+    });
+    Object.entries(stripped.llm_providers || {}).forEach(([id, config]) => {
+        if (config.api_key) secrets.api_keys[id] = config.api_key;
+        config.api_key = '';
+    });
+    return { stripped, secrets };
+}
+
+function applySecrets(data, secrets) {
+    const merged = structuredClone(data);
+    Object.entries(merged[JIRA_PROFILES_KEY] || {}).forEach(([id, profile]) => {
+        profile.jira_token = secrets.jira_tokens[id] || profile.jira_token || '';
+    });
+    Object.entries(merged.llm_providers || {}).forEach(([id, config]) => {
+        config.api_key = secrets.api_keys[id] || config.api_key || '';
+    });
+    return merged;
+}
+
+/**
+ * Settings with their secrets filled in. Without encryption they are
+ * returned as they are; while locked, `secretsLocked` is set and the
+ * secrets stay blank.
+ */
+async function withSecrets(data) {
+    if (!await secretsVault()) return data;
+    const session = (await chrome.storage.session.get(SECRETS_SESSION_KEY))[SECRETS_SESSION_KEY];
+    return session ? applySecrets(data, session.secrets) : { ...data, secretsLocked: true };
+}
+
+// ─── Vault ──────────────────────────────────────────────────────────────────
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveSecretsKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true, // exported into the session so saving settings needs no passphrase
+        ['encrypt', 'decrypt']
+    );
+}
+
+/** The encrypted secrets, or null when encryption is off. */
+async function secretsVault() {
+    return (await chrome.storage.local.get(SECRETS_VAULT_KEY))[SECRETS_VAULT_KEY] || null;
+}
+
+/** Keeps unlocked secrets and their key for the rest of the browser session. */
+async function storeSessionSecrets(secrets, key, vault) {
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({
+        [SECRETS_SESSION_KEY]: { secrets, key: bytesToBase64(rawKey), salt: vault.salt, iterations: vault.iterations },
+    });
+}
+
+/** Decrypts the vault into the session; throws on a wrong passphrase. */
+async function unlockSecrets(passphrase) {
+    const vault = await secretsVault();
+    if (!vault) return;
+    const key = await deriveSecretsKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+    let plain;
+    try {
+        plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(vault.iv) }, key, base64ToBytes(vault.data));
+    } catch {
+        throw new Error('Wrong passphrase.');
+    }
+    await storeSessionSecrets(JSON.parse(new TextDecoder().decode(plain)), key, vault);
+}
+
+async function lockSecrets() {
+    await chrome.storage.session.remove(SECRETS_SESSION_KEY);
+}
+
+/**
+ * Encrypts `secrets` into the vault and leaves them unlocked. A new
+ * passphrase gets a new salt; without one the unlocked session's key is
+ * reused.
+ */
+async function encryptSecrets(secrets, passphrase) {
+    let key, salt, iterations;
+    if (passphrase) {
+        salt = crypto.getRandomValues(new Uint8Array(16));
+        iterations = PBKDF2_ITERATIONS;
+        key = await deriveSecretsKey(passphrase, salt, iterations);
+    } else {
+        const session = (await chrome.storage.session.get(SECRETS_SESSION_KEY))[SECRETS_SESSION_KEY];
+        if (!session) throw new Error('Enter the passphrase to encrypt your secrets.');
+        salt = base64ToBytes(session.salt);
+        iterations = session.iterations;
+        key = await crypto.subtle.importKey('raw', base64ToBytes(session.key), 'AES-GCM', true, ['encrypt', 'decrypt']);
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+    const vault = {
+        salt: bytesToBase64(salt),
+        iv: bytesToBase64(iv),
+        iterations,
+        data: bytesToBase64(new Uint8Array(data)),
+    };
+    await chrome.storage.local.set({ [SECRETS_VAULT_KEY]: vault });
+    await storeSessionSecrets(secrets, key, vault);
+}
+
+/** Turns encryption off; the caller saves the secrets back to storage.sync. */
+async function disableSecretsEncryption() {
+    await chrome.storage.local.remove(SECRETS_VAULT_KEY);
+    await lockSecrets();
+}